@@ -45,48 +45,225 @@ async function* tickStream({ intervalMs, signal }) {
 }
 
 /**
- * Consumer with:
- * - concurrency limit
- * - explicit iterator close
- * - safe draining of in-flight work
+ * Token bucket: refills `tokens` per `intervalMs` continuously, holding at
+ * most `burst` tokens. take() resolves with how long the caller waited.
  */
-async function consumeWithConcurrency(
+function createTokenBucket({ tokens, intervalMs, burst = tokens }) {
+  for (const [name, v] of Object.entries({ tokens, intervalMs, burst })) {
+    if (!(v > 0)) throw new Error(`rateLimit.${name} must be > 0`);
+  }
+
+  const perMs = tokens / intervalMs;
+  let available = burst;
+  let last = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    available = Math.min(burst, available + (now - last) * perMs);
+    last = now;
+  };
+
+  return {
+    async take({ signal } = {}) {
+      const start = Date.now();
+      refill();
+      while (available < 1) {
+        await sleep(Math.ceil((1 - available) / perMs), { signal });
+        refill();
+      }
+      available -= 1;
+      return Date.now() - start;
+    },
+  };
+}
+
+/**
+ * Run handler with per-item retries (exponential backoff, capped).
+ * Never rejects: resolves { ok, value } or { ok: false, error, attempts }
+ * where `attempts` is the full history: [{ attempt, error, delayMs? }].
+ * Aborts are not retried.
+ */
+async function runWithRetries(
+  item,
+  ctx,
+  handler,
+  { retries = 0, baseMs = 100, factor = 2, maxDelayMs = 2000 } = {},
+) {
+  const attempts = [];
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return { ok: true, value: await handler(item, { ...ctx, attempt }) };
+    } catch (error) {
+      if (error?.name === "AbortError" || attempt >= retries) {
+        attempts.push({ attempt, error });
+        return { ok: false, error, attempts };
+      }
+
+      const delayMs = Math.min(baseMs * Math.pow(factor, attempt), maxDelayMs);
+      attempts.push({ attempt, error, delayMs });
+
+      try {
+        await sleep(delayMs, { signal: ctx.signal });
+      } catch (abort) {
+        return { ok: false, error: abort, attempts };
+      }
+    }
+  }
+}
+
+async function sendToDeadLetter(deadLetter, entry) {
+  if (typeof deadLetter === "function") await deadLetter(entry);
+  else await deadLetter.send(entry);
+}
+
+const ERROR_POLICIES = ["failFast", "continue", "collect"];
+
+/**
+ * Concurrent consumer that yields handler results.
+ *
+ * - concurrency limit: at most `concurrency` items pulled but not yet
+ *   yielded (running, or finished and waiting their turn when ordered)
+ * - rateLimit { tokens, intervalMs, burst? }: token bucket on top of the
+ *   concurrency limit; the next item is not pulled until a token is free
+ * - ordered: true -> input order; false -> completion order
+ * - handlers get `{ signal, waitedMs }`:
+ *   - signal: derived from the caller's, also aborted on failFast or when
+ *     the consumer stops early
+ *   - waitedMs: how long the item's pull was held back by rateLimit
+ *   - attempt: 0 for the first try, then 1, 2, ... when retried
+ * - retry { retries, baseMs?, factor?, maxDelayMs? }: per-item retries with
+ *   exponential backoff (aborts are never retried)
+ * - deadLetter: function or `{ send }` sink (e.g. a Channel) that receives
+ *   `{ item, error, attempts }` for items that still fail after retries;
+ *   dead-lettered items are skipped and never reach errorPolicy
+ * - errorPolicy:
+ *   - "failFast" -> first failure aborts in-flight handlers and is thrown,
+ *                   as soon as it happens (also when ordered, even while an
+ *                   earlier item is still running)
+ *   - "continue" -> failed items are skipped
+ *   - "collect"  -> failed items are skipped, then an AggregateError with
+ *                   every failure is thrown once the stream is done
+ * - explicit iterator close and safe draining of in-flight work
+ */
+async function* resultsWithConcurrency(
   iterable,
-  { concurrency, signal },
+  {
+    concurrency,
+    signal,
+    rateLimit,
+    retry,
+    deadLetter,
+    ordered = true,
+    errorPolicy = "failFast",
+  },
   handler,
 ) {
   if (!Number.isInteger(concurrency) || concurrency <= 0) {
     throw new Error("concurrency must be a positive integer");
   }
+  if (!ERROR_POLICIES.includes(errorPolicy)) {
+    throw new Error(`unknown errorPolicy: ${errorPolicy}`);
+  }
+
+  const bucket = rateLimit && createTokenBucket(rateLimit);
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
 
   const iterator = iterable[Symbol.asyncIterator]();
-  const inFlight = new Set();
+  const inFlight = new Map(); // seq -> Promise<outcome>, never rejects
+  const errors = [];
+  let nextSeq = 0;
+  let nextToYield = 0;
+  let upstreamDone = false;
+
+  let onFailure;
+  const firstFailure = new Promise((resolve) => (onFailure = resolve));
 
-  const startJob = (item) => {
-    const p = Promise.resolve().then(() => handler(item));
-    p.finally(() => inFlight.delete(p));
-    inFlight.add(p);
-    return p;
+  const runJob = async (item, waitedMs) => {
+    const ctx = { signal: controller.signal, waitedMs };
+    const result = await runWithRetries(item, ctx, handler, retry);
+
+    if (result.ok || !deadLetter || result.error?.name === "AbortError") {
+      return result;
+    }
+
+    // A failing sink is reported like a handler failure (see catch below).
+    const { error, attempts } = result;
+    await sendToDeadLetter(deadLetter, { item, error, attempts });
+    return { ok: false, deadLettered: true };
+  };
+
+  const startJob = (item, seq, waitedMs) => {
+    const p = runJob(item, waitedMs).then(
+      (result) => ({ seq, ...result }),
+      (error) => ({ seq, ok: false, error }),
+    );
+    inFlight.set(seq, p);
+    if (errorPolicy === "failFast") {
+      p.then((outcome) => {
+        if (!outcome.ok && !outcome.deadLettered) onFailure(outcome);
+      });
+    }
   };
 
   try {
     while (true) {
-      if (signal?.aborted) throw abortError(signal.reason);
+      while (!upstreamDone && inFlight.size < concurrency) {
+        if (signal?.aborted) throw abortError(signal.reason);
+
+        // Rejects with AbortError if the caller aborts while we wait.
+        const waitedMs = bucket ? await bucket.take({ signal }) : 0;
+
+        const { value, done } = await iterator.next(); // pulls one item only when needed
+        if (done) {
+          upstreamDone = true;
+          break;
+        }
+        startJob(value, nextSeq++, waitedMs);
+      }
 
-      const { value, done } = await iterator.next(); // pulls one item only when needed
-      if (done) break;
+      if (inFlight.size === 0) break;
 
-      startJob(value);
+      const next = ordered
+        ? inFlight.get(nextToYield)
+        : Promise.race(inFlight.values());
+      // failFast must not wait for a slow head item to see a later failure.
+      const outcome = await (errorPolicy === "failFast"
+        ? Promise.race([next, firstFailure])
+        : next);
+      if (ordered && outcome.seq === nextToYield) nextToYield++;
+      inFlight.delete(outcome.seq);
 
-      if (inFlight.size >= concurrency) {
-        await Promise.race(inFlight); // throws if the earliest completion rejects
+      // Caller aborted: handler failures are just the abort echoing back.
+      if (signal?.aborted) throw abortError(signal.reason);
+
+      if (outcome.ok) {
+        yield outcome.value;
+        continue;
+      }
+      if (outcome.deadLettered) continue;
+
+      if (errorPolicy === "failFast") {
+        controller.abort(
+          `Stopping remaining handlers due to: ${outcome.error?.name}`,
+        );
+        throw outcome.error;
       }
+      if (errorPolicy === "collect") errors.push(outcome.error);
+    }
+
+    if (errors.length) {
+      throw new AggregateError(errors, `${errors.length} handler(s) failed`);
     }
-  } catch (err) {
-    if (err?.name !== "AbortError") throw err;
   } finally {
+    signal?.removeEventListener("abort", onAbort);
+
     // Stop the producer immediately (cancels any pending sleep inside the generator).
-    if (typeof iterator.return === "function") {
+    if (!upstreamDone && typeof iterator.return === "function") {
       try {
         await iterator.return();
       } catch {
@@ -94,11 +271,500 @@ async function consumeWithConcurrency(
       }
     }
 
-    // Observe all results to prevent unhandled rejections (AbortError included).
-    await Promise.allSettled(inFlight);
+    // Leaving with work in flight (early stop, failFast, abort): cancel it
+    // and wait so no handler outlives the consumer.
+    if (inFlight.size) controller.abort("Results no longer needed");
+    await Promise.all(inFlight.values());
+  }
+}
+
+/**
+ * Fire-and-forget consumer: runs handlers with a concurrency limit and
+ * discards their results. Caller aborts end it quietly; handler failures
+ * follow `errorPolicy` (see resultsWithConcurrency).
+ */
+async function consumeWithConcurrency(
+  iterable,
+  {
+    concurrency,
+    signal,
+    rateLimit,
+    retry,
+    deadLetter,
+    errorPolicy = "failFast",
+  },
+  handler,
+) {
+  const results = resultsWithConcurrency(
+    iterable,
+    {
+      concurrency,
+      signal,
+      rateLimit,
+      retry,
+      deadLetter,
+      errorPolicy,
+      ordered: false,
+    },
+    handler,
+  );
+
+  try {
+    for await (const _ of results); // drain: results are discarded
+  } catch (err) {
+    if (err?.name !== "AbortError") throw err;
+  }
+}
+
+/**
+ * Close an iterator without waiting for return() to settle: with a next()
+ * still outstanding (`pending`), an async generator only runs return() after
+ * that next() settles, which an idle producer may never do. Rejections from
+ * either are dropped.
+ */
+function closeWithoutWaiting(iterator, pending) {
+  pending?.catch(() => {});
+  Promise.resolve(iterator.return?.()).catch(() => {});
+}
+
+const TIMEOUT = Symbol("timeout");
+const ABORTED = Symbol("aborted");
+
+/**
+ * Group items into arrays of up to `maxItems`, or whatever arrived within
+ * `maxWaitMs` of the batch's first item.
+ *
+ * - Pull-based: upstream is only read while the consumer wants a batch.
+ * - The partial batch is flushed when upstream ends, fails or `signal`
+ *   aborts; after an abort the stream ends instead of throwing, after a
+ *   failure the error follows the flushed batch.
+ */
+async function* batchStream(iterable, { maxItems, maxWaitMs, signal }) {
+  if (!Number.isInteger(maxItems) || maxItems <= 0) {
+    throw new Error("maxItems must be a positive integer");
+  }
+  if (!(maxWaitMs >= 0)) throw new Error("maxWaitMs must be >= 0");
+
+  const iterator = iterable[Symbol.asyncIterator]();
+  let pending = null; // outstanding next(), carried over to the next batch
+  let upstreamDone = false;
+  let timerId = null;
+
+  let onAbort;
+  const aborted = new Promise((resolve) => {
+    onAbort = () => resolve(ABORTED);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+  try {
+    while (!upstreamDone && !signal?.aborted) {
+      const batch = [];
+      let timeout = null; // armed by the batch's first item
+
+      while (batch.length < maxItems) {
+        pending ??= iterator.next();
+
+        let r;
+        try {
+          r = await Promise.race([
+            pending,
+            aborted,
+            ...(timeout ? [timeout] : []),
+          ]);
+        } catch (err) {
+          // The producer shares our signal and may fail first with AbortError.
+          pending = null;
+          upstreamDone = true;
+          if (signal?.aborted && err?.name === "AbortError") break;
+          if (batch.length) yield batch; // items already pulled are kept
+          throw err;
+        }
+
+        if (r === TIMEOUT || r === ABORTED) break;
+
+        pending = null;
+        if (r.done) {
+          upstreamDone = true;
+          break;
+        }
+
+        batch.push(r.value);
+        timeout ??= new Promise((resolve) => {
+          timerId = setTimeout(() => resolve(TIMEOUT), maxWaitMs);
+        });
+      }
+
+      clearTimeout(timerId);
+      if (batch.length) yield batch;
+    }
+  } finally {
+    clearTimeout(timerId);
+    signal?.removeEventListener("abort", onAbort);
+
+    if (!upstreamDone && typeof iterator.return === "function") {
+      if (pending) {
+        closeWithoutWaiting(iterator, pending);
+      } else {
+        try {
+          await iterator.return();
+        } catch {
+          // Ignore close errors; we're shutting down.
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Batching consumer: handler(batch, ctx) gets arrays from batchStream, with
+ * consumeWithConcurrency's concurrency, rateLimit and errorPolicy applied to
+ * whole batches.
+ *
+ * The caller's signal ends batching (flushing the partial batch) rather than
+ * aborting handlers: items already pulled from the stream must not be lost.
+ * The same goes for a failing stream: its error is thrown only after the
+ * flushed batch and the other in-flight batches have finished, unaborted.
+ * In-flight batches are awaited before this resolves.
+ */
+async function consumeInBatches(
+  iterable,
+  { maxItems, maxWaitMs, signal, ...options },
+  handler,
+) {
+  let upstreamError = null;
+
+  // Thrown through the consumer, the error would abort in-flight handlers.
+  async function* batches() {
+    try {
+      yield* batchStream(iterable, { maxItems, maxWaitMs, signal });
+    } catch (err) {
+      upstreamError = err;
+    }
+  }
+
+  await consumeWithConcurrency(batches(), options, handler);
+  if (upstreamError) throw upstreamError;
+}
+
+function channelError(name, message) {
+  const err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+/**
+ * Bounded channel for push-based producers (event emitters, callbacks).
+ *
+ * - send(value, { signal }) resolves once the channel accepted the value:
+ *   handed to a waiting receiver or buffered (up to `capacity`).
+ * - When the buffer is full, `overflow` decides:
+ *   - "block"      -> send waits until a receiver makes room (backpressure).
+ *   - "dropNewest" -> the value is discarded; send resolves false.
+ *   - "dropOldest" -> the oldest buffered value is discarded.
+ *   - "throw"      -> send rejects with ChannelFullError.
+ * - capacity 0 (block only) is a rendezvous: send waits for a receiver.
+ * - receive({ signal }) resolves { value, done }; many senders and receivers
+ *   may wait at once, each value goes to exactly one receiver (FIFO).
+ * - close(): buffered values can still be received, then receivers get done.
+ *   Blocked and later senders reject with ChannelClosedError.
+ */
+class Channel {
+  #capacity;
+  #overflow;
+  #buffer = [];
+  #senders = []; // blocked senders: { value, resolve, reject }
+  #receivers = []; // waiting receivers: { resolve, reject }
+  #closed = false;
+
+  constructor({ capacity = 0, overflow = "block" } = {}) {
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      throw new Error("capacity must be a non-negative integer");
+    }
+    if (!["block", "dropNewest", "dropOldest", "throw"].includes(overflow)) {
+      throw new Error(`unknown overflow strategy: ${overflow}`);
+    }
+    if (capacity === 0 && overflow !== "block") {
+      throw new Error(`overflow "${overflow}" needs capacity > 0`);
+    }
+    this.#capacity = capacity;
+    this.#overflow = overflow;
+  }
+
+  get size() {
+    return this.#buffer.length;
+  }
+
+  get closed() {
+    return this.#closed;
+  }
+
+  async send(value, { signal } = {}) {
+    if (signal?.aborted) throw abortError(signal.reason);
+    if (this.#closed) {
+      throw channelError("ChannelClosedError", "send on closed channel");
+    }
+
+    if (this.#receivers.length) {
+      this.#receivers.shift().resolve({ value, done: false });
+      return true;
+    }
+
+    if (this.#buffer.length < this.#capacity) {
+      this.#buffer.push(value);
+      return true;
+    }
+
+    switch (this.#overflow) {
+      case "dropNewest":
+        return false;
+      case "dropOldest":
+        this.#buffer.shift();
+        this.#buffer.push(value);
+        return true;
+      case "throw":
+        throw channelError(
+          "ChannelFullError",
+          `channel full (capacity=${this.#capacity})`,
+        );
+      default:
+        return this.#wait(this.#senders, { value }, signal);
+    }
+  }
+
+  async receive({ signal } = {}) {
+    if (signal?.aborted) throw abortError(signal.reason);
+
+    if (this.#buffer.length) {
+      const value = this.#buffer.shift();
+      // Room freed: promote the oldest blocked sender into the buffer.
+      if (this.#senders.length) {
+        const sender = this.#senders.shift();
+        this.#buffer.push(sender.value);
+        sender.resolve(true);
+      }
+      return { value, done: false };
+    }
+
+    if (this.#senders.length) {
+      const sender = this.#senders.shift();
+      sender.resolve(true);
+      return { value: sender.value, done: false };
+    }
+
+    if (this.#closed) return { value: undefined, done: true };
+
+    return this.#wait(this.#receivers, {}, signal);
+  }
+
+  close() {
+    if (this.#closed) return;
+    this.#closed = true;
+
+    // Receivers only wait on an empty buffer, so they are done right away.
+    for (const r of this.#receivers.splice(0)) {
+      r.resolve({ value: undefined, done: true });
+    }
+    for (const s of this.#senders.splice(0)) {
+      s.reject(channelError("ChannelClosedError", "channel closed"));
+    }
+  }
+
+  /**
+   * Async iterable over received values; ends when the channel is closed
+   * and drained. Stopping early does not close the channel (other
+   * receivers may still be reading).
+   */
+  values({ signal } = {}) {
+    return {
+      [Symbol.asyncIterator]: () => ({
+        next: () => this.receive({ signal }),
+        return: async (value) => ({ value, done: true }),
+      }),
+    };
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.values()[Symbol.asyncIterator]();
+  }
+
+  #wait(queue, entry, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        const i = queue.indexOf(entry);
+        if (i !== -1) queue.splice(i, 1);
+        reject(abortError(signal.reason));
+      };
+      const cleanup = () => signal?.removeEventListener("abort", onAbort);
+
+      entry.resolve = (v) => {
+        cleanup();
+        resolve(v);
+      };
+      entry.reject = (err) => {
+        cleanup();
+        reject(err);
+      };
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+      queue.push(entry);
+    });
   }
 }
 
+/**
+ * Flow control for push sources: wraps a callback API in an async iterator
+ * backed by a queue, and asks the source to pause() once `highWaterMark`
+ * items are queued and to resume() when the queue drains to `lowWaterMark`.
+ *
+ * - subscribe({ next, error, complete }) must return an unsubscribe
+ *   function; it is called right away, so nothing emitted is missed.
+ * - pause() is advisory: values pushed while paused are still queued.
+ * - Errors and completion are delivered after the queued values.
+ * - `size` and `paused` expose the current state; `onFlow({ type, size })`
+ *   reports every "pause" and "resume" as it happens.
+ * - return() (e.g. break in for-await) unsubscribes and drops the queue
+ *   and any undelivered error.
+ */
+function fromPushSource({
+  subscribe,
+  pause,
+  resume,
+  highWaterMark = 16,
+  lowWaterMark = Math.floor(highWaterMark / 2),
+  onFlow,
+}) {
+  if (!Number.isInteger(highWaterMark) || highWaterMark <= 0) {
+    throw new Error("highWaterMark must be a positive integer");
+  }
+  if (
+    !Number.isInteger(lowWaterMark) ||
+    lowWaterMark < 0 ||
+    lowWaterMark >= highWaterMark
+  ) {
+    throw new Error("lowWaterMark must be an integer in [0, highWaterMark)");
+  }
+
+  const queue = [];
+  const waiters = []; // pending next() calls while the queue is empty
+  let paused = false;
+  let ended = false;
+  let failure = null;
+
+  let unsubscribe = null;
+  let detached = false;
+  const detach = () => {
+    if (detached) return;
+    detached = true;
+    unsubscribe?.();
+  };
+
+  const setPaused = (next) => {
+    paused = next;
+    if (next) pause();
+    else resume();
+    onFlow?.({ type: next ? "pause" : "resume", size: queue.length });
+  };
+
+  const finish = (err) => {
+    if (ended) return;
+    ended = true;
+    detach();
+
+    if (!waiters.length) {
+      failure = err;
+      return;
+    }
+    // The first waiting next() gets the error; the others just end.
+    for (const [i, { resolve, reject }] of waiters.splice(0).entries()) {
+      if (err && i === 0) reject(err);
+      else resolve({ value: undefined, done: true });
+    }
+  };
+
+  unsubscribe = subscribe({
+    next(value) {
+      if (ended) return;
+      if (waiters.length) {
+        waiters.shift().resolve({ value, done: false });
+        return;
+      }
+      queue.push(value);
+      if (!paused && queue.length >= highWaterMark) setPaused(true);
+    },
+    error: (err) => finish(err),
+    complete: () => finish(null),
+  });
+  if (detached) unsubscribe?.(); // source finished during subscribe()
+
+  return {
+    get size() {
+      return queue.length;
+    },
+    get paused() {
+      return paused;
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+    async next() {
+      if (queue.length) {
+        const value = queue.shift();
+        if (paused && !ended && queue.length <= lowWaterMark) setPaused(false);
+        return { value, done: false };
+      }
+      if (failure) {
+        const err = failure;
+        failure = null;
+        throw err;
+      }
+      if (ended) return { value: undefined, done: true };
+
+      return new Promise((resolve, reject) => {
+        waiters.push({ resolve, reject });
+      });
+    },
+    async return(value) {
+      queue.length = 0;
+      finish(null);
+      failure = null; // after return(), next() only reports done
+      return { value, done: true };
+    },
+  };
+}
+
+/**
+ * fromPushSource() for an EventEmitter-style source (e.g. a socket):
+ * "data" values, "end" completes, "error" fails; pause()/resume() default
+ * to the emitter's own methods.
+ */
+function fromEmitter(
+  emitter,
+  {
+    dataEvent = "data",
+    endEvent = "end",
+    errorEvent = "error",
+    pause = () => emitter.pause(),
+    resume = () => emitter.resume(),
+    ...options
+  } = {},
+) {
+  return fromPushSource({
+    ...options,
+    pause,
+    resume,
+    subscribe({ next, error, complete }) {
+      emitter.on(dataEvent, next);
+      emitter.on(endEvent, complete);
+      emitter.on(errorEvent, error);
+      return () => {
+        emitter.off(dataEvent, next);
+        emitter.off(endEvent, complete);
+        emitter.off(errorEvent, error);
+      };
+    },
+  });
+}
+
 async function processItem(item, { signal } = {}) {
   const cost = item.id % 3 === 0 ? 80 : 30;
   log(`[handler] start id=${item.id} cost=${cost}ms`);
@@ -106,9 +772,191 @@ async function processItem(item, { signal } = {}) {
   log(`[handler] done  id=${item.id}`);
 }
 
+// Push-based producer (EventEmitter) feeding two receivers through a Channel.
+async function channelDemo() {
+  log("--- Channel: push producer, 2 receivers, dropOldest ---");
+  const { EventEmitter } = require("node:events");
+
+  const emitter = new EventEmitter();
+  const channel = new Channel({ capacity: 2, overflow: "dropOldest" });
+
+  emitter.on("data", (x) => channel.send(x));
+  emitter.on("end", () => channel.close());
+
+  const receiver = async (name, costMs) => {
+    const got = [];
+    for await (const x of channel) {
+      got.push(x);
+      await sleep(costMs);
+    }
+    log(`[channel] ${name} got ${got.join(",")}`);
+  };
+
+  const done = Promise.all([receiver("r1", 25), receiver("r2", 40)]);
+  for (let i = 0; i < 12; i++) {
+    emitter.emit("data", i);
+    await sleep(5);
+  }
+  emitter.emit("end");
+  await done;
+
+  // Blocking send with abort: nobody receives, so the send is cancelled.
+  const rendezvous = new Channel();
+  const controller = new AbortController();
+  setTimeout(() => controller.abort("No receiver"), 30);
+  try {
+    await rendezvous.send("hello", { signal: controller.signal });
+  } catch (err) {
+    log(`[channel] blocked send: ${err.name} (${err.message})`);
+  }
+}
+
+async function* items(count) {
+  for (let id = 0; id < count; id++) yield { id };
+}
+
+// Results as an async iterable, plus the three error policies.
+async function resultsDemo() {
+  log("\n--- Results: ordered vs completion order, error policies ---");
+
+  const work = async ({ id }, { signal }) => {
+    await sleep(id % 3 === 0 ? 60 : 15, { signal });
+    if (id === 4) throw new Error(`item ${id} failed`);
+    return id;
+  };
+
+  for (const ordered of [true, false]) {
+    const out = [];
+    const results = resultsWithConcurrency(
+      items(7),
+      { concurrency: 3, ordered, errorPolicy: "continue" },
+      work,
+    );
+    for await (const r of results) out.push(r);
+    log(`[results] ordered=${ordered}: ${out.join(",")}`);
+  }
+
+  for (const errorPolicy of ["failFast", "collect"]) {
+    try {
+      await consumeWithConcurrency(
+        items(7),
+        { concurrency: 3, errorPolicy },
+        work,
+      );
+    } catch (err) {
+      log(`[results] ${errorPolicy}: ${err.name} (${err.message})`);
+    }
+  }
+}
+
+// 5 starts per 100ms with a burst of 2: the first two start at once.
+async function rateLimitDemo() {
+  log("\n--- Rate limit: 5 per 100ms, burst 2 ---");
+
+  const started = Date.now();
+  await consumeWithConcurrency(
+    items(6),
+    {
+      concurrency: 4,
+      rateLimit: { tokens: 5, intervalMs: 100, burst: 2 },
+    },
+    async ({ id }, { waitedMs }) => {
+      log(
+        `[rate] id=${id} start@${Date.now() - started}ms waited=${waitedMs}ms`,
+      );
+      await sleep(10);
+    },
+  );
+}
+
+// Bulk inserts: batches of up to 8 items or 50ms, flushed on abort.
+async function batchDemo() {
+  log("\n--- Batching: maxItems=8, maxWaitMs=50, abort at 200ms ---");
+
+  const controller = new AbortController();
+  const { signal } = controller;
+  const abortTimer = setTimeout(() => controller.abort("Shutdown"), 200);
+
+  try {
+    await consumeInBatches(
+      tickStream({ intervalMs: 15, signal }),
+      { maxItems: 8, maxWaitMs: 50, concurrency: 2, signal },
+      async (batch) => {
+        log(`[batch] insert ids=${batch.map((item) => item.id).join(",")}`);
+        await sleep(60);
+      },
+    );
+  } finally {
+    clearTimeout(abortTimer);
+  }
+}
+
+// id=2 fails once (recovers on retry), id=4 always fails (poison message).
+async function deadLetterDemo() {
+  log("\n--- Retries + dead letter: retries=2 ---");
+
+  const failedOnce = new Set();
+  await consumeWithConcurrency(
+    items(6),
+    {
+      concurrency: 2,
+      retry: { retries: 2, baseMs: 10 },
+      deadLetter: ({ item, error, attempts }) =>
+        log(
+          `[deadLetter] id=${item.id} ${error.message}`,
+          `attempts=${attempts.length}`,
+          `backoff=${attempts.flatMap((a) => a.delayMs ?? []).join("+")}ms`,
+        ),
+    },
+    async ({ id }, { attempt }) => {
+      if (id === 4 || (id === 2 && !failedOnce.has(id))) {
+        failedOnce.add(id);
+        throw new Error(`id=${id} failed on attempt ${attempt}`);
+      }
+      log(`[handler] id=${id} ok (attempt ${attempt})`);
+    },
+  );
+}
+
+// A fast "socket" that honours pause()/resume(), read by a slow consumer.
+async function watermarkDemo() {
+  log("\n--- Watermarks: highWaterMark=4, lowWaterMark=1 ---");
+  const { EventEmitter } = require("node:events");
+
+  const socket = new EventEmitter();
+  let sent = 0;
+  let timer = null;
+  socket.resume = () => {
+    timer = setInterval(() => {
+      socket.emit("data", sent++);
+      if (sent === 12) {
+        clearInterval(timer);
+        socket.emit("end");
+      }
+    }, 5);
+  };
+  socket.pause = () => clearInterval(timer);
+
+  const queue = fromEmitter(socket, {
+    highWaterMark: 4,
+    lowWaterMark: 1,
+    onFlow: ({ type, size }) => log(`[flow] ${type} (queued=${size})`),
+  });
+  socket.resume();
+
+  const got = [];
+  for await (const x of queue) {
+    got.push(x);
+    await sleep(20);
+  }
+  log(`[flow] consumed ${got.join(",")}`);
+}
+
 (async function main() {
   log("Exercise: Async Iterators + Backpressure + Abort — start");
 
+  await channelDemo();
+
   const controller = new AbortController();
   const { signal } = controller;
 
@@ -120,13 +968,21 @@ async function processItem(item, { signal } = {}) {
   try {
     const stream = tickStream({ intervalMs: 40, signal });
 
-    await consumeWithConcurrency(stream, { concurrency: 3, signal }, (item) =>
-      processItem(item, { signal }),
+    await consumeWithConcurrency(
+      stream,
+      { concurrency: 3, signal },
+      (item, { signal }) => processItem(item, { signal }),
     );
   } finally {
     // Prevent abort from firing after we've already finished.
     clearTimeout(abortTimer);
   }
 
+  await resultsDemo();
+  await rateLimitDemo();
+  await batchDemo();
+  await deadLetterDemo();
+  await watermarkDemo();
+
   log("Exercise: Async Iterators + Backpressure + Abort — done");
 })();
@@ -3,12 +3,34 @@
  * Run: node src/exercise-async-pipeline.js
  */
 
+const { once } = require("node:events");
+const { Readable } = require("node:stream");
+const { finished } = require("node:stream/promises");
+
 const log = console.log;
 
+function abortError(reason) {
+  const err = new Error(reason ? String(reason) : "Aborted");
+  err.name = "AbortError";
+  return err;
+}
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+/**
+ * Close an iterator without waiting for return() to settle.
+ * With a next() still outstanding (`pending`), an async generator only runs
+ * return() after that next() settles, so an idle upstream would hold up the
+ * consumer until its next item arrives. Rejections from either are dropped:
+ * nobody is listening for them any more.
+ */
+function closeWithoutWaiting(iterator, pending) {
+  pending?.catch(() => {});
+  Promise.resolve(iterator.return?.()).catch(() => {});
+}
+
 async function* source(count) {
   for (let i = 0; i < count; i++) {
     await sleep(20);
@@ -16,18 +38,34 @@ async function* source(count) {
   }
 }
 
+/**
+ * Lazy, re-subscribable source: every iteration calls `factory()` again.
+ * Plain async generators can only be iterated once; wrap them in defer()
+ * when something needs to start the upstream over.
+ */
+function defer(factory) {
+  return {
+    [Symbol.asyncIterator]() {
+      return factory()[Symbol.asyncIterator]();
+    },
+  };
+}
+
+// Operators are `(iter, { signal }) => asyncIterable`; pipe() supplies the
+// context and callbacks receive `{ signal }` as their last argument.
+
 function mapAsync(mapper) {
-  return async function* (iter) {
+  return async function* (iter, { signal } = {}) {
     for await (const x of iter) {
-      yield await mapper(x);
+      yield await mapper(x, { signal });
     }
   };
 }
 
 function filterAsync(pred) {
-  return async function* (iter) {
+  return async function* (iter, { signal } = {}) {
     for await (const x of iter) {
-      if (await pred(x)) yield x;
+      if (await pred(x, { signal })) yield x;
     }
   };
 }
@@ -43,8 +81,1041 @@ function take(n) {
   };
 }
 
+/**
+ * Concurrent map: runs up to `concurrency` mapper calls at once.
+ * The mapper is called as `mapper(x, index, { signal })`.
+ *
+ * Order policy (explicit, via `ordered`):
+ * - ordered: true  (default) -> results come out in input order; a slow item
+ *   holds back faster ones that finished after it (head-of-line blocking).
+ * - ordered: false -> results come out in completion order.
+ *
+ * Backpressure:
+ * - At most `concurrency` items are pulled but not yet yielded (running or
+ *   finished-and-waiting), so memory stays bounded.
+ * - If the consumer stops early (e.g. take()), upstream is closed and
+ *   in-flight results are discarded.
+ */
+function mergeMap(concurrency, mapper, { ordered = true } = {}) {
+  if (!Number.isInteger(concurrency) || concurrency <= 0) {
+    throw new Error("concurrency must be a positive integer");
+  }
+
+  return async function* (iter, { signal } = {}) {
+    const iterator = iter[Symbol.asyncIterator]();
+    const inFlight = new Map(); // index -> Promise<{ index, value }>
+    let nextIndex = 0;
+    let nextToYield = 0;
+    let upstreamDone = false;
+
+    const startJob = (x, index) => {
+      const p = Promise.resolve()
+        .then(() => mapper(x, index, { signal }))
+        .then((value) => ({ index, value }));
+      // Rejections are observed when the item is awaited; avoid them being
+      // reported as unhandled while they wait their turn.
+      p.catch(() => {});
+      inFlight.set(index, p);
+    };
+
+    try {
+      while (true) {
+        while (!upstreamDone && inFlight.size < concurrency) {
+          const { value, done } = await iterator.next();
+          if (done) {
+            upstreamDone = true;
+            break;
+          }
+          startJob(value, nextIndex++);
+        }
+
+        if (inFlight.size === 0) return;
+
+        const { index, value } = ordered
+          ? await inFlight.get(nextToYield++)
+          : await Promise.race(inFlight.values());
+
+        inFlight.delete(index);
+        yield value;
+      }
+    } finally {
+      if (!upstreamDone) await iterator.return?.();
+    }
+  };
+}
+
+/**
+ * If upstream throws, switch to the iterable returned by `handler(err)`.
+ * Items emitted before the failure are kept; the fallback continues after them.
+ * Re-throw inside `handler` to let the error through. Aborts are never caught.
+ */
+function catchError(handler) {
+  return async function* (iter, { signal } = {}) {
+    let fallback;
+    try {
+      yield* iter;
+      return;
+    } catch (err) {
+      if (err?.name === "AbortError") throw err;
+      fallback = await handler(err, { signal });
+    }
+    yield* fallback;
+  };
+}
+
+/**
+ * Source that subscribes to `factory()` and, on failure, asks
+ * `policy(err, attempt, { signal })` whether to resubscribe:
+ * - Resolve to true to call `factory()` again (delay inside policy if needed).
+ * - Resolve to false to give up and re-throw the error.
+ *
+ * It takes the factory rather than sitting in the middle of a pipe(): the
+ * output of a stage (mapAsync, ...) is a one-shot generator that cannot be
+ * started over. Put the stages to retry inside the factory:
+ *   pipe(retryWhen(() => pipe(fetchPages(), mapAsync(parse)), policy), ...)
+ *
+ * A factory that hands back the same, already failed iterator cannot be
+ * retried; the error is re-thrown. Items emitted before the failure are not
+ * deduplicated: the new subscription starts over. Aborts are never retried.
+ */
+function retryWhen(factory, policy, { signal } = {}) {
+  return defer(async function* () {
+    let previous = null;
+    let failure;
+
+    for (let attempt = 0; ; attempt++) {
+      const iterator = factory()[Symbol.asyncIterator]();
+      if (iterator === previous) throw failure;
+      previous = iterator;
+
+      try {
+        yield* { [Symbol.asyncIterator]: () => iterator };
+        return;
+      } catch (err) {
+        if (err?.name === "AbortError") throw err;
+        if (!(await policy(err, attempt, { signal }))) throw err;
+        failure = err;
+      }
+    }
+  });
+}
+
+/**
+ * Run `fn` once the stage ends: completion, error, or early return()
+ * from downstream (e.g. take()). Runs only if the stage was started.
+ */
+function finalize(fn) {
+  return async function* (iter) {
+    try {
+      yield* iter;
+    } finally {
+      await fn();
+    }
+  };
+}
+
+// ---------------- Time-based operators ----------------
+// Timers go through an injectable clock so tests can drive time by hand.
+
+const systemClock = {
+  now: () => performance.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+function startTimer(clock, ms) {
+  let id;
+  const promise = new Promise((resolve) => {
+    id = clock.setTimeout(() => resolve({ kind: "tick" }), ms);
+  });
+  return { promise, cancel: () => clock.clearTimeout(id) };
+}
+
+/**
+ * Time operators race upstream against timers. The puller keeps at most one
+ * next() outstanding across races, so an item that loses to a tick is not lost.
+ */
+function createPuller(iterable) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  let pending = null;
+
+  return {
+    async nextOrTick(timer) {
+      pending ??= iterator.next().then((r) => ({ kind: "item", ...r }));
+      const ev = await Promise.race(
+        timer ? [pending, timer.promise] : [pending],
+      );
+      if (ev.kind === "item") pending = null;
+      return ev;
+    },
+    close() {
+      closeWithoutWaiting(iterator, pending);
+    },
+  };
+}
+
+/**
+ * Emit the latest value once `ms` pass without a new one.
+ * A pending value is flushed when upstream completes.
+ */
+function debounceTime(ms, { clock = systemClock } = {}) {
+  return async function* (iter) {
+    const upstream = createPuller(iter);
+    let timer = null;
+    let latest;
+
+    try {
+      while (true) {
+        const ev = await upstream.nextOrTick(timer);
+
+        if (ev.kind === "tick") {
+          timer = null;
+          yield latest;
+          continue;
+        }
+
+        if (ev.done) {
+          if (timer) yield latest;
+          return;
+        }
+
+        latest = ev.value;
+        timer?.cancel();
+        timer = startTimer(clock, ms);
+      }
+    } finally {
+      timer?.cancel();
+      upstream.close();
+    }
+  };
+}
+
+/**
+ * Emit at most one value per `ms` window.
+ * - leading: emit the value that opens a window.
+ * - trailing: emit the last value seen during the window when it closes
+ *   (that emission opens the next window).
+ * At least one of them must be on.
+ */
+function throttleTime(
+  ms,
+  { leading = true, trailing = false, clock = systemClock } = {},
+) {
+  if (!leading && !trailing) {
+    throw new Error("throttleTime needs leading or trailing (or both)");
+  }
+
+  return async function* (iter) {
+    const upstream = createPuller(iter);
+    let window = null;
+    let trailingValue;
+    let hasTrailing = false;
+
+    try {
+      while (true) {
+        const ev = await upstream.nextOrTick(window);
+
+        if (ev.kind === "tick") {
+          window = null;
+          if (hasTrailing) {
+            hasTrailing = false;
+            window = startTimer(clock, ms);
+            yield trailingValue;
+          }
+          continue;
+        }
+
+        if (ev.done) {
+          if (hasTrailing) yield trailingValue;
+          return;
+        }
+
+        if (!window) {
+          window = startTimer(clock, ms);
+          if (leading) {
+            yield ev.value;
+            continue;
+          }
+        }
+
+        if (trailing) {
+          trailingValue = ev.value;
+          hasTrailing = true;
+        }
+      }
+    } finally {
+      window?.cancel();
+      upstream.close();
+    }
+  };
+}
+
+/**
+ * Collect values into arrays, emitted when the `ms` window closes or when
+ * `maxCount` is reached. The window opens with the first value of a buffer,
+ * so an idle upstream emits no empty arrays. The rest is flushed on completion.
+ */
+function bufferTime(ms, { maxCount = Infinity, clock = systemClock } = {}) {
+  return async function* (iter) {
+    const upstream = createPuller(iter);
+    let window = null;
+    let buffer = [];
+
+    const flush = () => {
+      window?.cancel();
+      window = null;
+      const out = buffer;
+      buffer = [];
+      return out;
+    };
+
+    try {
+      while (true) {
+        const ev = await upstream.nextOrTick(window);
+
+        if (ev.kind === "tick") {
+          yield flush();
+          continue;
+        }
+
+        if (ev.done) {
+          if (buffer.length) yield flush();
+          return;
+        }
+
+        buffer.push(ev.value);
+        window ??= startTimer(clock, ms);
+        if (buffer.length >= maxCount) yield flush();
+      }
+    } finally {
+      window?.cancel();
+      upstream.close();
+    }
+  };
+}
+
+/**
+ * Every `ms`, emit the most recent value if a new one arrived since the last
+ * sample. Like Rx, the unsampled last value is dropped on completion.
+ */
+function sampleTime(ms, { clock = systemClock } = {}) {
+  return async function* (iter) {
+    const upstream = createPuller(iter);
+    let timer = startTimer(clock, ms);
+    let latest;
+    let hasValue = false;
+
+    try {
+      while (true) {
+        const ev = await upstream.nextOrTick(timer);
+
+        if (ev.kind === "tick") {
+          timer = startTimer(clock, ms);
+          if (hasValue) {
+            hasValue = false;
+            yield latest;
+          }
+          continue;
+        }
+
+        if (ev.done) return;
+
+        latest = ev.value;
+        hasValue = true;
+      }
+    } finally {
+      timer.cancel();
+      upstream.close();
+    }
+  };
+}
+
+// ---------------- Multicast ----------------
+
+function overflowError(bufferSize) {
+  const err = new Error(`consumer buffer overflow (bufferSize=${bufferSize})`);
+  err.name = "BufferOverflowError";
+  return err;
+}
+
+/**
+ * Fan one upstream out to several consumers (each from subscribe()).
+ *
+ * - Upstream starts on the first pull and is pulled on demand, one item at a
+ *   time; every item goes to every consumer subscribed at that moment.
+ * - Each consumer buffers up to `bufferSize` items. When a slow consumer is
+ *   full, `onOverflow` decides:
+ *   - "block"      -> nobody gets new items until it catches up.
+ *   - "dropOldest" -> its oldest buffered item is discarded.
+ *   - "error"      -> it is detached: it still gets the items it had
+ *                     buffered, then its next() rejects.
+ * - Upstream errors reach every consumer after its buffered items.
+ * - When the last consumer returns, upstream is closed; later subscribers
+ *   complete immediately.
+ */
+function share(iterable, { bufferSize = 16, onOverflow = "block" } = {}) {
+  if (!Number.isInteger(bufferSize) || bufferSize <= 0) {
+    throw new Error("bufferSize must be a positive integer");
+  }
+  if (!["block", "dropOldest", "error"].includes(onOverflow)) {
+    throw new Error(`unknown onOverflow policy: ${onOverflow}`);
+  }
+
+  const consumers = new Set();
+  let iterator = null;
+  let pulling = null;
+  let finished = false; // upstream completed, failed or closed
+
+  // Consumers blocked on a full peer wait here; any state change wakes them.
+  let wake;
+  let changed = new Promise((r) => (wake = r));
+  function notify() {
+    wake();
+    changed = new Promise((r) => (wake = r));
+  }
+
+  // With an error, the consumer drains its buffer before next() rejects.
+  function detach(c, error = null) {
+    consumers.delete(c);
+    if (!error) c.buffer = [];
+    c.error = error;
+    c.closed = true;
+
+    if (consumers.size === 0 && iterator && !finished) {
+      finished = true;
+      closeWithoutWaiting(iterator, pulling);
+    }
+    notify();
+  }
+
+  function distribute({ value, done }) {
+    if (done) {
+      finished = true;
+      return;
+    }
+    for (const c of consumers) {
+      if (c.buffer.length >= bufferSize) {
+        if (onOverflow === "error") {
+          detach(c, overflowError(bufferSize));
+          continue;
+        }
+        if (onOverflow === "dropOldest") c.buffer.shift();
+      }
+      c.buffer.push(value);
+    }
+  }
+
+  function pullOnce() {
+    iterator ??= iterable[Symbol.asyncIterator]();
+    pulling = iterator
+      .next()
+      .then(distribute, (err) => {
+        finished = true;
+        for (const c of consumers) c.error = err;
+      })
+      .finally(() => {
+        pulling = null;
+        notify();
+      });
+    return pulling;
+  }
+
+  function isBlocked() {
+    if (onOverflow !== "block") return false;
+    for (const c of consumers) if (c.buffer.length >= bufferSize) return true;
+    return false;
+  }
+
+  function subscribe() {
+    const c = { buffer: [], error: null, closed: finished };
+    if (!finished) consumers.add(c);
+
+    return {
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+      async next() {
+        while (true) {
+          if (c.buffer.length) {
+            const value = c.buffer.shift();
+            notify();
+            return { value, done: false };
+          }
+          if (c.error) {
+            const err = c.error;
+            c.error = null;
+            c.closed = true;
+            throw err;
+          }
+          if (c.closed || finished) return { value: undefined, done: true };
+
+          if (pulling) await pulling;
+          else if (isBlocked()) await changed;
+          else await pullOnce();
+        }
+      },
+      async return() {
+        if (!c.closed) detach(c);
+        return { value: undefined, done: true };
+      },
+    };
+  }
+
+  return { subscribe };
+}
+
+/**
+ * Split one upstream into `n` consumers that all see every item.
+ * All consumers exist before the first pull, so none misses the start.
+ */
+function tee(iterable, n, options) {
+  const shared = share(iterable, options);
+  return Array.from({ length: n }, () => shared.subscribe());
+}
+
+// ---------------- Combination ----------------
+// Each input tracks its outstanding next() so that, however the combined
+// stream ends, every input that has not completed gets closed.
+
+function openInputs(iterables) {
+  return iterables.map((it) => ({
+    iterator: it[Symbol.asyncIterator](),
+    pending: null, // Promise<{ index, result }> while a next() is outstanding
+    done: false,
+  }));
+}
+
+function pullInput(inputs, index) {
+  const input = inputs[index];
+  input.pending = input.iterator.next().then((result) => ({ index, result }));
+  return input.pending;
+}
+
+function pendingOf(inputs) {
+  return inputs.flatMap((input) => (input.pending ? [input.pending] : []));
+}
+
+async function closeInputs(inputs) {
+  await Promise.allSettled(
+    inputs.map(async (input) => {
+      if (input.done) return;
+      input.done = true;
+      if (input.pending) {
+        closeWithoutWaiting(input.iterator, input.pending);
+        return;
+      }
+      await input.iterator.return?.();
+    }),
+  );
+}
+
+/**
+ * Interleave all inputs, emitting values as they arrive.
+ * Completes when every input completes; the first error closes the rest.
+ */
+async function* merge(...iterables) {
+  const inputs = openInputs(iterables);
+  inputs.forEach((_, i) => pullInput(inputs, i));
+
+  try {
+    while (inputs.some((input) => !input.done)) {
+      const { index, result } = await Promise.race(pendingOf(inputs));
+      inputs[index].pending = null;
+
+      if (result.done) {
+        inputs[index].done = true;
+        continue;
+      }
+
+      yield result.value;
+      pullInput(inputs, index);
+    }
+  } finally {
+    await closeInputs(inputs);
+  }
+}
+
+/**
+ * Run inputs one after another. Inputs not yet reached are never opened.
+ */
+async function* concat(...iterables) {
+  for (const iterable of iterables) yield* iterable;
+}
+
+/**
+ * Pair up the n-th value of every input: [a0, b0], [a1, b1], ...
+ * Completes as soon as any input completes, closing the others.
+ */
+async function* zip(...iterables) {
+  if (iterables.length === 0) return;
+  const inputs = openInputs(iterables);
+
+  try {
+    while (true) {
+      inputs.forEach((_, i) => pullInput(inputs, i));
+      const events = await Promise.all(pendingOf(inputs));
+
+      for (const { index, result } of events) {
+        inputs[index].pending = null;
+        if (result.done) inputs[index].done = true;
+      }
+
+      if (events.some((e) => e.result.done)) return;
+      yield events.map((e) => e.result.value);
+    }
+  } finally {
+    await closeInputs(inputs);
+  }
+}
+
+/**
+ * Once every input has emitted, emit a tuple of the latest values on each
+ * new value. Completes when all inputs complete, or immediately if one
+ * completes without ever emitting (no full tuple is possible).
+ */
+async function* combineLatest(...iterables) {
+  const inputs = openInputs(iterables);
+  const latest = new Array(inputs.length);
+  const seen = new Array(inputs.length).fill(false);
+  let ready = 0;
+
+  inputs.forEach((_, i) => pullInput(inputs, i));
+
+  try {
+    while (inputs.some((input) => !input.done)) {
+      const { index, result } = await Promise.race(pendingOf(inputs));
+      inputs[index].pending = null;
+
+      if (result.done) {
+        inputs[index].done = true;
+        if (!seen[index]) return;
+        continue;
+      }
+
+      if (!seen[index]) {
+        seen[index] = true;
+        ready++;
+      }
+      latest[index] = result.value;
+      pullInput(inputs, index);
+
+      if (ready === inputs.length) yield [...latest];
+    }
+  } finally {
+    await closeInputs(inputs);
+  }
+}
+
+/**
+ * Follow whichever input settles first (value, completion or error) and
+ * close all the others.
+ */
+async function* race(...iterables) {
+  if (iterables.length === 0) return;
+  const inputs = openInputs(iterables);
+  inputs.forEach((_, i) => pullInput(inputs, i));
+
+  try {
+    const { index, result } = await Promise.race(pendingOf(inputs));
+    const winner = inputs[index];
+    winner.pending = null;
+    await closeInputs(inputs.filter((input) => input !== winner));
+
+    if (result.done) {
+      winner.done = true;
+      return;
+    }
+    yield result.value;
+
+    while (true) {
+      const { value, done } = await winner.iterator.next();
+      if (done) {
+        winner.done = true;
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    await closeInputs(inputs);
+  }
+}
+
+/**
+ * Make an iterable cancellable: once `signal` aborts, a pending or later
+ * next() rejects with AbortError and the wrapped iterator is closed.
+ */
+function abortable(iterable, signal) {
+  if (!signal) return iterable;
+
+  return {
+    [Symbol.asyncIterator]() {
+      const iterator = iterable[Symbol.asyncIterator]();
+
+      let onAbort;
+      const aborted = new Promise((_, reject) => {
+        onAbort = () => reject(abortError(signal.reason));
+      });
+      aborted.catch(() => {});
+      signal.addEventListener("abort", onAbort, { once: true });
+
+      const cleanup = () => signal.removeEventListener("abort", onAbort);
+      const close = () => {
+        cleanup();
+        closeWithoutWaiting(iterator);
+      };
+
+      return {
+        [Symbol.asyncIterator]() {
+          return this;
+        },
+        async next() {
+          if (signal.aborted) {
+            close();
+            throw abortError(signal.reason);
+          }
+          try {
+            const r = await Promise.race([iterator.next(), aborted]);
+            if (r.done) cleanup();
+            return r;
+          } catch (err) {
+            if (signal.aborted) close();
+            else cleanup();
+            throw err;
+          }
+        },
+        async return(value) {
+          cleanup();
+          await iterator.return?.();
+          return { value, done: true };
+        },
+      };
+    },
+  };
+}
+
+// ---------------- Instrumentation ----------------
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const i = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, Math.min(sorted.length - 1, i))];
+}
+
+/**
+ * Opt-in per-stage metrics. Wrap operators with `meter.stage(name, op)`:
+ *
+ * - itemsIn / itemsOut       -> values pulled from upstream / emitted
+ * - queueDepth (+ max)       -> itemsIn - itemsOut: buffered or in flight
+ *                               (filters and batching stages skew it)
+ * - latencyMs p50/p90/p99    -> time to produce each output value, minus
+ *                               the time spent waiting on upstream
+ *                               (approximate for concurrent stages)
+ * - upstreamWaitMs           -> time spent waiting for upstream values
+ * - downstreamWaitMs         -> time between emitting a value and being
+ *                               asked for the next one (backpressure)
+ * - errors / lastError
+ *
+ * report() returns the current numbers; with `onSnapshot`, a report is also
+ * delivered every `intervalMs` while any instrumented stage is running.
+ */
+function instrument({
+  onSnapshot,
+  intervalMs = 1000,
+  maxSamples = 1000,
+  clock = systemClock,
+} = {}) {
+  const stages = new Map(); // name -> raw stats
+  const startedAt = clock.now();
+  let running = 0;
+  let timer = null;
+
+  function report() {
+    const out = {};
+    for (const [name, s] of stages) {
+      const sorted = [...s.latencies].sort((a, b) => a - b);
+      out[name] = {
+        itemsIn: s.itemsIn,
+        itemsOut: s.itemsOut,
+        queueDepth: s.itemsIn - s.itemsOut,
+        maxQueueDepth: s.maxQueueDepth,
+        latencyMs: {
+          p50: round2(percentile(sorted, 50)),
+          p90: round2(percentile(sorted, 90)),
+          p99: round2(percentile(sorted, 99)),
+          max: round2(sorted.at(-1) ?? 0),
+        },
+        upstreamWaitMs: round2(s.upstreamWaitMs),
+        downstreamWaitMs: round2(s.downstreamWaitMs),
+        errors: s.errors,
+        lastError: s.lastError,
+      };
+    }
+    return { elapsedMs: round2(clock.now() - startedAt), stages: out };
+  }
+
+  function tick() {
+    timer = clock.setTimeout(tick, intervalMs);
+    onSnapshot(report());
+  }
+
+  function stageStarted() {
+    running++;
+    if (onSnapshot && !timer) timer = clock.setTimeout(tick, intervalMs);
+  }
+
+  function stageEnded() {
+    running--;
+    if (running === 0) stop();
+  }
+
+  function stop() {
+    if (!timer) return;
+    clock.clearTimeout(timer);
+    timer = null;
+  }
+
+  function measureInput(iterable, s, current) {
+    return {
+      [Symbol.asyncIterator]() {
+        const iterator = iterable[Symbol.asyncIterator]();
+        return {
+          [Symbol.asyncIterator]() {
+            return this;
+          },
+          async next() {
+            const t0 = clock.now();
+            const r = await iterator.next();
+            const waited = clock.now() - t0;
+            s.upstreamWaitMs += waited;
+            current.upstreamWait += waited;
+            if (!r.done) {
+              s.itemsIn++;
+              s.maxQueueDepth = Math.max(
+                s.maxQueueDepth,
+                s.itemsIn - s.itemsOut,
+              );
+            }
+            return r;
+          },
+          async return(value) {
+            await iterator.return?.();
+            return { value, done: true };
+          },
+        };
+      },
+    };
+  }
+
+  function measureOutput(iterable, s, current) {
+    return {
+      [Symbol.asyncIterator]() {
+        const iterator = iterable[Symbol.asyncIterator]();
+        let emittedAt = null;
+        let ended = false;
+        const end = () => {
+          if (ended) return;
+          ended = true;
+          stageEnded();
+        };
+
+        stageStarted();
+        return {
+          [Symbol.asyncIterator]() {
+            return this;
+          },
+          async next() {
+            const t0 = clock.now();
+            if (emittedAt !== null) s.downstreamWaitMs += t0 - emittedAt;
+            current.upstreamWait = 0;
+
+            try {
+              const r = await iterator.next();
+              if (r.done) {
+                end();
+                return r;
+              }
+              emittedAt = clock.now();
+              s.itemsOut++;
+              if (s.latencies.length >= maxSamples) s.latencies.shift();
+              s.latencies.push(emittedAt - t0 - current.upstreamWait);
+              return r;
+            } catch (err) {
+              s.errors++;
+              s.lastError = err;
+              end();
+              throw err;
+            }
+          },
+          async return(value) {
+            end();
+            await iterator.return?.();
+            return { value, done: true };
+          },
+        };
+      },
+    };
+  }
+
+  function stage(name, op) {
+    if (stages.has(name)) throw new Error(`duplicate stage name: ${name}`);
+    const s = {
+      itemsIn: 0,
+      itemsOut: 0,
+      maxQueueDepth: 0,
+      latencies: [],
+      upstreamWaitMs: 0,
+      downstreamWaitMs: 0,
+      errors: 0,
+      lastError: null,
+    };
+    stages.set(name, s);
+
+    return (iter, ctx) => {
+      const current = { upstreamWait: 0 }; // per output next() call
+      return measureOutput(op(measureInput(iter, s, current), ctx), s, current);
+    };
+  }
+
+  return { stage, report, stop };
+}
+
+/**
+ * pipe(iterable, ...ops, { signal }?)
+ * - Every op receives `{ signal }` and forwards it to its callbacks.
+ * - Every stage boundary is abortable: on abort, upstream iterators are
+ *   closed and the consumer (e.g. collect()) rejects with AbortError.
+ */
 function pipe(iterable, ...ops) {
-  return ops.reduce((it, op) => op(it), iterable);
+  const last = ops.at(-1);
+  const { signal } = last && typeof last === "object" ? ops.pop() : {};
+  return ops.reduce(
+    (it, op) => abortable(op(it, { signal }), signal),
+    abortable(iterable, signal),
+  );
+}
+
+// ---------------- Stream interop ----------------
+// Node streams and WHATWG streams both pull on demand, so backpressure maps
+// onto next(): nothing is read from a source until the pipeline asks for it.
+
+/**
+ * Node Readable -> async iterable.
+ * While the consumer is slow, the stream's buffer fills to its highWaterMark
+ * and it stops reading from the underlying resource (file, socket).
+ * Returning early destroys the stream.
+ */
+function fromReadable(readable) {
+  return readable[Symbol.asyncIterator]();
+}
+
+/**
+ * Async iterable -> Node Readable.
+ * Node calls read() only while its buffer is below `highWaterMark`, and we
+ * pull exactly one item per read(), so upstream never runs ahead of that.
+ * A null item cannot be pushed (push(null) means end-of-stream), so it
+ * destroys the stream with a TypeError instead of ending it early.
+ */
+function toReadable(iterable, { highWaterMark = 16, objectMode = true } = {}) {
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  return new Readable({
+    objectMode,
+    highWaterMark,
+    async read() {
+      try {
+        const { value, done } = await iterator.next();
+        if (!done && value === null) {
+          this.destroy(new TypeError("toReadable: null items are not allowed"));
+          return;
+        }
+        this.push(done ? null : value);
+      } catch (err) {
+        this.destroy(err);
+      }
+    },
+    destroy(err, callback) {
+      closeWithoutWaiting(iterator); // read() may still be waiting on it
+      callback(err);
+    },
+  });
+}
+
+/**
+ * Write an async iterable into a Node Writable, waiting for "drain" whenever
+ * write() reports a full buffer. Resolves once the writable has finished.
+ */
+async function pipeToWritable(iterable, writable, { end = true } = {}) {
+  for await (const chunk of iterable) {
+    if (!writable.write(chunk)) await once(writable, "drain");
+  }
+  if (end) {
+    writable.end();
+    await finished(writable);
+  }
+}
+
+/**
+ * WHATWG ReadableStream -> async iterable.
+ * Returning early cancels the stream.
+ */
+async function* fromReadableStream(stream) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    // No-op after completion or error; cancels the source on early return.
+    await reader.cancel().catch(() => {});
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Async iterable -> WHATWG ReadableStream.
+ * pull() runs only while the queue is below `highWaterMark` items.
+ */
+function toReadableStream(iterable, { highWaterMark = 16 } = {}) {
+  const iterator = iterable[Symbol.asyncIterator]();
+
+  return new ReadableStream(
+    {
+      async pull(controller) {
+        const { value, done } = await iterator.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      },
+      cancel() {
+        closeWithoutWaiting(iterator); // pull() may still be waiting on it
+      },
+    },
+    new CountQueuingStrategy({ highWaterMark }),
+  );
+}
+
+/**
+ * Write an async iterable into a WHATWG WritableStream, waiting on
+ * `writer.ready` so the sink's queue never exceeds its highWaterMark.
+ */
+async function pipeToWritableStream(iterable, stream) {
+  const writer = stream.getWriter();
+  try {
+    for await (const chunk of iterable) {
+      await writer.ready;
+      // Write failures also reject `ready` and close(), which we await.
+      writer.write(chunk).catch(() => {});
+    }
+    await writer.close();
+  } catch (err) {
+    await writer.abort(err).catch(() => {});
+    throw err;
+  } finally {
+    writer.releaseLock();
+  }
 }
 
 async function collect(iterable) {
@@ -70,15 +1141,230 @@ async function collect(iterable) {
   const result = await collect(flow);
   log("result:", result);
 
+  // mergeMap: uneven mapper cost makes the two order policies visible.
+  const slowMapper = async (x) => {
+    await sleep(x % 3 === 0 ? 60 : 10);
+    return x;
+  };
+
+  const ordered = await collect(
+    pipe(source(10), mergeMap(3, slowMapper), take(6)),
+  );
+  log("mergeMap ordered:  ", ordered);
+
+  const unordered = await collect(
+    pipe(source(10), mergeMap(3, slowMapper, { ordered: false }), take(6)),
+  );
+  log("mergeMap unordered:", unordered);
+
+  // catchError / retryWhen / finalize: a flaky upstream that fails after 3 items.
+  let subscriptions = 0;
+  async function* flaky() {
+    subscriptions++;
+    yield* source(3);
+    if (subscriptions < 3) throw new Error(`boom #${subscriptions}`);
+    yield 99;
+  }
+
+  const recovered = await collect(
+    pipe(
+      retryWhen(
+        () =>
+          pipe(
+            flaky(),
+            mapAsync((x) => x * 10),
+          ),
+        async (err, attempt) => {
+          log(`[retryWhen] ${err.message}, attempt=${attempt}`);
+          if (attempt >= 1) return false;
+          await sleep(10 * 2 ** attempt);
+          return true;
+        },
+      ),
+      catchError(async function* (err) {
+        log(`[catchError] ${err.message} -> fallback`);
+        yield -1;
+      }),
+      finalize(() => log("[finalize] cleanup ran")),
+    ),
+  );
+  log("recovered:", recovered);
+
+  // Time-based operators over a source that emits every ~20ms.
+  log("debounceTime(30):", await collect(pipe(source(5), debounceTime(30))));
+  log(
+    "throttleTime(50):",
+    await collect(pipe(source(10), throttleTime(50, { trailing: true }))),
+  );
+  log(
+    "bufferTime(70, 3):",
+    await collect(pipe(source(10), bufferTime(70, { maxCount: 3 }))),
+  );
+  log(
+    "sampleTime(50):  ",
+    await collect(pipe(source(10), sampleTime(50), take(3))),
+  );
+
+  // tee: one producer, a fast and a slow consumer.
+  const slowly = mapAsync(async (x) => {
+    await sleep(50);
+    return x;
+  });
+
+  const [fastA, slowA] = tee(source(6), 2, { bufferSize: 2 });
+  log(
+    "tee block:     ",
+    await Promise.all([collect(fastA), collect(pipe(slowA, slowly))]),
+  );
+
+  const [fastB, slowB] = tee(source(6), 2, {
+    bufferSize: 2,
+    onOverflow: "dropOldest",
+  });
+  log(
+    "tee dropOldest:",
+    await Promise.all([collect(fastB), collect(pipe(slowB, slowly))]),
+  );
+
+  // Abort: cancel a long pipeline from outside.
+  const controller = new AbortController();
+  const abortTimer = setTimeout(
+    () => controller.abort("Stop after 100ms"),
+    100,
+  );
+  try {
+    await collect(
+      pipe(
+        source(50),
+        mapAsync(async (x, { signal }) => {
+          if (signal?.aborted) throw abortError(signal.reason);
+          return x;
+        }),
+        finalize(() => log("[finalize] aborted pipeline closed")),
+        { signal: controller.signal },
+      ),
+    );
+  } catch (err) {
+    log(`[abort] ${err.name}: ${err.message}`);
+  } finally {
+    clearTimeout(abortTimer);
+  }
+
+  // Streams: file round-trip plus a slow consumer on a small highWaterMark.
+  const fs = require("node:fs");
+  const os = require("node:os");
+  const path = require("node:path");
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "js-labs-"));
+  const file = path.join(dir, "lines.txt");
+  try {
+    await pipeToWritable(
+      pipe(
+        source(5),
+        mapAsync((x) => `line ${x}\n`),
+      ),
+      fs.createWriteStream(file),
+    );
+    const chunks = await collect(
+      fromReadable(fs.createReadStream(file, { encoding: "utf8" })),
+    );
+    log("file round-trip:", chunks.join("").trim().split("\n"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  let produced = 0;
+  const counted = pipe(
+    source(20),
+    mapAsync((x) => {
+      produced++;
+      return x;
+    }),
+  );
+  const firstThree = await collect(
+    pipe(
+      fromReadable(toReadable(counted, { highWaterMark: 2 })),
+      slowly,
+      take(3),
+    ),
+  );
+  log(`toReadable hwm=2: got ${firstThree}, produced ${produced} of 20`);
+
+  const sink = [];
+  await pipeToWritableStream(
+    fromReadableStream(toReadableStream(source(4), { highWaterMark: 1 })),
+    new WritableStream({ write: (chunk) => sink.push(chunk) }),
+  );
+  log("WHATWG round-trip:", sink);
+
+  // Combination: inputs with different speeds.
+  const ticks = (label, ms, count) =>
+    pipe(
+      source(count),
+      mapAsync(async (x) => {
+        await sleep(ms);
+        return `${label}${x}`;
+      }),
+    );
+
+  log(
+    "merge:        ",
+    await collect(merge(ticks("a", 5, 3), ticks("b", 30, 3))),
+  );
+  log(
+    "concat:       ",
+    await collect(concat(ticks("a", 5, 2), ticks("b", 5, 2))),
+  );
+  log(
+    "zip:          ",
+    await collect(zip(ticks("a", 5, 3), ticks("b", 30, 4))),
+  );
+  log(
+    "combineLatest:",
+    await collect(
+      pipe(combineLatest(ticks("a", 5, 3), ticks("b", 50, 2)), take(3)),
+    ),
+  );
+  log(
+    "race:         ",
+    await collect(race(ticks("a", 40, 3), ticks("b", 5, 3))),
+  );
+
+  // Instrumentation: which stage is the bottleneck?
+  const meter = instrument({
+    intervalMs: 100,
+    onSnapshot: ({ elapsedMs, stages }) =>
+      log(
+        `[snapshot ${Math.round(elapsedMs)}ms]`,
+        Object.entries(stages)
+          .map(([name, st]) => `${name} in=${st.itemsIn} out=${st.itemsOut}`)
+          .join(" | "),
+      ),
+  });
+
+  await collect(
+    pipe(
+      source(12),
+      meter.stage(
+        "double",
+        mapAsync((x) => x * 2),
+      ),
+      meter.stage("slowSave", slowly),
+      meter.stage("take", take(8)),
+    ),
+  );
+  for (const [name, st] of Object.entries(meter.report().stages)) {
+    log(
+      `[report] ${name}: p50=${st.latencyMs.p50}ms`,
+      `upstreamWait=${Math.round(st.upstreamWaitMs)}ms`,
+      `downstreamWait=${Math.round(st.downstreamWaitMs)}ms`,
+    );
+  }
+
   log("Exercise: Async Pipeline — done");
 
   /**
    * Your tasks:
-   * 1) Add mergeMap(concurrency, mapper):
-   *    - process items concurrently
-   *    - preserve input order OR not (choose policy and document)
-   * 2) Add catchError(handler) operator (like Rx):
-   *    - if upstream throws, replace with a fallback iterable
-   * 3) Add buffer(count) operator (then compare memory vs no-buffer).
+   * 1) Add buffer(count) operator (then compare memory vs no-buffer).
    */
 })();
@@ -8,38 +8,241 @@ const log = console.log;
 /**
  * We simulate "entries" (elementId -> isVisible).
  * Changes are batched and delivered at most once per frame window.
+ *
+ * Observers (IntersectionObserver-style):
+ * - createObserver(cb, { thresholds }) -> { observe, unobserve, disconnect }
+ * - cb only receives entries for the ids that observer tracks.
+ * - Like IntersectionObserver, observing an already-visible id gives that
+ *   observer (and only it) an initial entry with the current state.
+ * - An id nobody observes has no state: unobserving it from its last
+ *   observer drops its state and pending entry, and setVisibility ignores it.
+ * - observe(id, cb, options) is shorthand for a one-id observer; it returns
+ *   a function that disconnects it.
+ *
+ * Thresholds, per observer:
+ * - Without thresholds, every change is delivered.
+ * - With e.g. [0, 0.5, 1] (or a single number), an entry is delivered only when the ratio crosses
+ *   one of them since the last entry that observer received. It carries
+ *   { thresholds, threshold, direction: "up" | "down" }: every threshold
+ *   crossed, in crossing order (a jump from 0 to 1 crosses [0, 0.5, 1]), and
+ *   the last of them. Threshold 0 means "visible".
+ *
+ * Geometry (optional `root: { width, height }` + `rootMargin`):
+ * - updateRect(id, { top, left, width, height }) registers an element in
+ *   content coordinates; updateViewport(scrollTop, scrollLeft) moves the root.
+ * - Rects are kept whether or not anyone observes the id (observing later
+ *   picks them up) until removeRect(id), which also reports it not visible.
+ * - The scheduler computes { visible, ratio } itself (ratio = visible area /
+ *   element area) and batches it like setVisibility.
+ * - rootMargin grows (or, negative, shrinks) the root: a number of px or a
+ *   CSS-like string, "10px", "10px 20%", ... (% of the root size).
+ *
+ * Timing:
+ * - A batch goes out debounceMs after the last change, but never later than
+ *   maxWaitMs (default: debounceMs) after the first undelivered one.
+ * - flushNow() delivers pending entries synchronously.
+ * - `clock: { now, setTimeout, clearTimeout }` swaps in a fake timer.
  */
 
-function createIntersectionScheduler({ debounceMs = 16 } = {}) {
+function thresholdLevel(thresholds, { visible, ratio }) {
+  let level = 0;
+  for (const t of thresholds) {
+    if (t === 0 ? visible : ratio >= t) level++;
+  }
+  return level;
+}
+
+// Like IntersectionObserver, a single number is accepted as well.
+function normalizeThresholds(thresholds) {
+  const list = [].concat(thresholds);
+  for (const t of list) {
+    if (!(t >= 0 && t <= 1)) throw new Error(`threshold out of [0, 1]: ${t}`);
+  }
+  return [...new Set(list)].sort((a, b) => a - b);
+}
+
+function parseRootMargin(margin, root) {
+  const text = typeof margin === "number" ? `${margin}px` : String(margin);
+  const parts = text.trim().split(/\s+/);
+  if (parts.length > 4) throw new Error(`invalid rootMargin: ${margin}`);
+
+  const toPx = (value, size) => {
+    const m = /^(-?\d*\.?\d+)(px|%)?$/.exec(value);
+    if (!m) throw new Error(`invalid rootMargin: ${margin}`);
+    const n = parseFloat(m[1]);
+    return m[2] === "%" ? (n / 100) * size : n;
+  };
+
+  // CSS shorthand order: top, right, bottom, left.
+  const [top, right = top, bottom = top, left = right] = parts;
+  return {
+    top: toPx(top, root.height),
+    right: toPx(right, root.width),
+    bottom: toPx(bottom, root.height),
+    left: toPx(left, root.width),
+  };
+}
+
+function intersect(rect, bounds) {
+  const right = rect.left + rect.width;
+  const bottom = rect.top + rect.height;
+
+  // Zero-area elements count as fully visible while inside the root.
+  if (rect.width * rect.height === 0) {
+    const inside =
+      rect.left >= bounds.left &&
+      right <= bounds.right &&
+      rect.top >= bounds.top &&
+      bottom <= bounds.bottom;
+    return { visible: inside, ratio: inside ? 1 : 0 };
+  }
+
+  const w = Math.min(right, bounds.right) - Math.max(rect.left, bounds.left);
+  const h = Math.min(bottom, bounds.bottom) - Math.max(rect.top, bounds.top);
+  const ratio = w > 0 && h > 0 ? (w * h) / (rect.width * rect.height) : 0;
+  return { visible: ratio > 0, ratio };
+}
+
+const systemClock = {
+  now: () => performance.now(),
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (id) => clearTimeout(id),
+};
+
+function createIntersectionScheduler({
+  debounceMs = 16,
+  maxWaitMs = debounceMs,
+  clock = systemClock,
+  root,
+  rootMargin = 0,
+} = {}) {
   const state = new Map(); // id -> { visible, ratio }
   const pending = new Map(); // id -> latest entry
-  const listeners = new Set();
+  const watchers = new Map(); // id -> Set<observer>
+  const rects = new Map(); // id -> element rect (geometry mode)
+  const initial = new Map(); // observer -> ids owed an initial entry
+
+  const margins = root ? parseRootMargin(rootMargin, root) : null;
+  let scroll = { top: 0, left: 0 };
 
   let timer = null;
+  let firstPendingAt = null; // clock time of the oldest undelivered change
 
   function emitBatch() {
+    if (timer !== null) clock.clearTimeout(timer);
     timer = null;
-    if (pending.size === 0) return;
+    firstPendingAt = null;
+    if (pending.size === 0 && initial.size === 0) return;
 
-    const batch = Array.from(pending.values());
+    const byObserver = new Map(); // observer -> its entries in this batch
+    const add = (observer, entry) => {
+      if (!byObserver.has(observer)) byObserver.set(observer, []);
+      byObserver.get(observer).push(entry);
+    };
+
+    for (const entry of pending.values()) {
+      for (const observer of watchers.get(entry.id) ?? []) add(observer, entry);
+    }
+    // A pending change already tells every watcher the current state.
+    for (const [observer, ids] of initial) {
+      for (const id of ids) if (!pending.has(id)) add(observer, state.get(id));
+    }
     pending.clear();
+    initial.clear();
+
+    for (const [observer, entries] of byObserver) {
+      const delivered = crossingEntries(observer, entries);
+      if (delivered.length) observer.cb(delivered);
+    }
+  }
+
+  function crossingEntries({ thresholds, levels }, batch) {
+    if (thresholds.length === 0) return batch;
 
-    for (const cb of listeners) cb(batch);
+    const out = [];
+    for (const entry of batch) {
+      const prev = levels.get(entry.id) ?? 0;
+      const next = thresholdLevel(thresholds, entry);
+      if (next === prev) continue;
+
+      levels.set(entry.id, next);
+      const crossed =
+        next > prev
+          ? thresholds.slice(prev, next)
+          : thresholds.slice(next, prev).reverse();
+      out.push({
+        ...entry,
+        thresholds: crossed,
+        threshold: crossed.at(-1),
+        direction: next > prev ? "up" : "down",
+      });
+    }
+    return out;
   }
 
   function scheduleFlush() {
-    if (timer) return;
-    timer = setTimeout(emitBatch, debounceMs);
+    const now = clock.now();
+    if (firstPendingAt === null) firstPendingAt = now;
+
+    // Debounce, capped so a steady stream of changes still gets delivered.
+    const delay = Math.min(debounceMs, firstPendingAt + maxWaitMs - now);
+    if (timer !== null) clock.clearTimeout(timer);
+    timer = clock.setTimeout(emitBatch, Math.max(0, delay));
+  }
+
+  function createObserver(cb, { thresholds = [] } = {}) {
+    // levels: observed id -> threshold level last delivered to this observer
+    const observer = {
+      cb,
+      thresholds: normalizeThresholds(thresholds),
+      levels: new Map(),
+    };
+
+    function observe(id) {
+      if (observer.levels.has(id)) return;
+      if (!state.has(id)) state.set(id, { id, visible: false, ratio: 0 });
+      if (!watchers.has(id)) watchers.set(id, new Set());
+
+      watchers.get(id).add(observer);
+      observer.levels.set(id, 0); // nothing delivered to this observer yet
+
+      measure(id); // a first observer of a registered rect may change state
+      if (state.get(id).visible && !pending.has(id)) {
+        if (!initial.has(observer)) initial.set(observer, new Set());
+        initial.get(observer).add(id);
+        scheduleFlush();
+      }
+    }
+
+    function unobserve(id) {
+      if (!observer.levels.delete(id)) return;
+      initial.get(observer)?.delete(id);
+
+      const set = watchers.get(id);
+      set.delete(observer);
+      if (set.size === 0) {
+        watchers.delete(id);
+        state.delete(id);
+        pending.delete(id);
+      }
+    }
+
+    function disconnect() {
+      for (const id of [...observer.levels.keys()]) unobserve(id);
+    }
+
+    return { observe, unobserve, disconnect };
   }
 
-  function observe(id, cb) {
-    listeners.add(cb);
-    if (!state.has(id)) state.set(id, { id, visible: false, ratio: 0 });
-    return () => listeners.delete(cb);
+  function observe(id, cb, options) {
+    const observer = createObserver(cb, options);
+    observer.observe(id);
+    return observer.disconnect;
   }
 
   function setVisibility(id, { visible, ratio = visible ? 1 : 0 }) {
-    const prev = state.get(id) ?? { id, visible: false, ratio: 0 };
+    const prev = state.get(id);
+    if (!prev) return; // nobody observes this id
     const next = { id, visible, ratio };
 
     state.set(id, next);
@@ -51,7 +254,52 @@ function createIntersectionScheduler({ debounceMs = 16 } = {}) {
     }
   }
 
-  return { observe, setVisibility };
+  function rootBounds() {
+    return {
+      top: scroll.top - margins.top,
+      left: scroll.left - margins.left,
+      bottom: scroll.top + root.height + margins.bottom,
+      right: scroll.left + root.width + margins.right,
+    };
+  }
+
+  function measure(id) {
+    const rect = rects.get(id);
+    if (!root || !rect || !state.has(id)) return;
+    setVisibility(id, intersect(rect, rootBounds()));
+  }
+
+  function assertGeometry() {
+    if (!root) throw new Error("geometry mode needs a `root` option");
+  }
+
+  function updateRect(id, rect) {
+    assertGeometry();
+    rects.set(id, rect);
+    measure(id);
+  }
+
+  function removeRect(id) {
+    assertGeometry();
+    if (!rects.delete(id)) return;
+    if (state.has(id)) setVisibility(id, { visible: false });
+  }
+
+  function updateViewport(scrollTop, scrollLeft = 0) {
+    assertGeometry();
+    scroll = { top: scrollTop, left: scrollLeft };
+    for (const id of state.keys()) measure(id);
+  }
+
+  return {
+    createObserver,
+    observe,
+    setVisibility,
+    flushNow: emitBatch,
+    updateRect,
+    removeRect,
+    updateViewport,
+  };
 }
 
 // ---------------- Demo ----------------
@@ -78,15 +326,151 @@ function createIntersectionScheduler({ debounceMs = 16 } = {}) {
     io.setVisibility("A", { visible: true, ratio: 1 });
   }, 40);
 
+  // Thresholds: small ratio changes (0.31 -> 0.32) are not delivered.
+  const unsubThresholds = io.observe(
+    "B",
+    (entries) => {
+      log(
+        "[thresholds]",
+        entries
+          .map(
+            (e) =>
+              `${e.id}:${e.ratio} crossed ${e.thresholds.join(",")} ${e.direction}`,
+          )
+          .join(" "),
+      );
+    },
+    { thresholds: [0, 0.5, 1] },
+  );
+
+  const ratios = [0.31, 0.32, 0.6, 0.61, 1, 0.4, 0, 1];
+  ratios.forEach((ratio, i) => {
+    setTimeout(
+      () => io.setVisibility("B", { visible: ratio > 0, ratio }),
+      50 + i * 40,
+    );
+  });
+
+  // One observer, many ids: it only hears about C and D, never A or B.
+  const rows = io.createObserver((entries) => {
+    log("[rows]", entries.map((e) => `${e.id}@${e.ratio}`).join(" "));
+  });
+  rows.observe("C");
+  rows.observe("D");
+  setTimeout(() => {
+    io.setVisibility("C", { visible: true, ratio: 0.5 });
+    io.setVisibility("D", { visible: true });
+    io.setVisibility("D", { visible: false });
+    rows.unobserve("D"); // drops D's pending entry
+  }, 60);
+
+  // Geometry: 200px-tall root with a 50px bottom margin over 50px rows.
+  const geo = createIntersectionScheduler({
+    debounceMs: 10,
+    root: { width: 300, height: 200 },
+    rootMargin: "0px 0px 50px 0px",
+  });
+  const feed = geo.createObserver(
+    (entries) => {
+      log(
+        "[geo]",
+        entries
+          .map(
+            (e) =>
+              `${e.id}:${e.ratio.toFixed(2)} ${e.direction}@${e.thresholds.join(",")}`,
+          )
+          .join(" "),
+      );
+    },
+    { thresholds: [0, 1] },
+  );
+  for (let i = 0; i < 8; i++) {
+    geo.updateRect(`row${i}`, { top: i * 50, left: 0, width: 300, height: 50 });
+    feed.observe(`row${i}`);
+  }
+
+  // A second observer of an already-visible row gets its own initial entry.
+  let unsubLate;
   setTimeout(() => {
-    unsub();
-    log("Exercise: Intersection Scheduler — done");
-  }, 120);
-
-  /**
-   * Your tasks:
-   * 1) Add threshold support: callback only when ratio crosses thresholds.
-   * 2) Add per-id observers: different callbacks per observed element.
-   * 3) Add "flushNow()" to force immediate delivery (useful for tests).
-   */
+    unsubLate = geo.observe("row1", (entries) => {
+      log("[geo late]", entries.map((e) => `${e.id}@${e.ratio}`).join(" "));
+    });
+  }, 50);
+  [75, 160, 400].forEach((scrollTop, i) => {
+    setTimeout(
+      () => {
+        log(`[geo] scrollTop=${scrollTop}`);
+        geo.updateViewport(scrollTop);
+      },
+      100 + i * 60,
+    );
+  });
+
+  setTimeout(
+    () => {
+      unsub();
+      unsubThresholds();
+      rows.disconnect();
+      feed.disconnect();
+      unsubLate();
+      fakeTimerDemo();
+      log("Exercise: Intersection Scheduler — done");
+    },
+    50 + ratios.length * 40 + 40,
+  );
 })();
+
+// Deterministic timing: a manual clock, no real sleeps.
+function createManualClock() {
+  let time = 0;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, fn }
+
+  return {
+    now: () => time,
+    setTimeout(fn, ms) {
+      timers.set(nextId, { at: time + ms, fn });
+      return nextId++;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advance(ms) {
+      const end = time + ms;
+      for (;;) {
+        let due = null;
+        for (const [id, t] of timers) {
+          if (t.at <= end && (!due || t.at < due[1].at)) due = [id, t];
+        }
+        if (!due) break;
+        timers.delete(due[0]);
+        time = due[1].at;
+        due[1].fn();
+      }
+      time = end;
+    },
+  };
+}
+
+function fakeTimerDemo() {
+  const clock = createManualClock();
+  const io = createIntersectionScheduler({
+    debounceMs: 16,
+    maxWaitMs: 50,
+    clock,
+  });
+  io.observe("E", (entries) => {
+    log(
+      `[clock t=${clock.now()}]`,
+      entries.map((e) => `${e.id}@${e.ratio}`).join(" "),
+    );
+  });
+
+  // A change every 10ms never goes quiet for 16ms; maxWaitMs still delivers.
+  for (let i = 1; i <= 10; i++) {
+    io.setVisibility("E", { visible: true, ratio: i / 10 });
+    clock.advance(10);
+  }
+  clock.advance(16);
+
+  io.setVisibility("E", { visible: false });
+  io.flushNow(); // no waiting at all
+}
@@ -11,11 +11,16 @@ const log = console.log;
  * - scrollTop: px
  * - viewportHeight: px
  * - overscan: extra items before/after
+ * - sectionHeaders (optional): sorted indices of section header items
  *
  * Output:
  * - { startIndex, endIndex, offsetTop } where:
  *   - startIndex..endIndex are inclusive indices to render
  *   - offsetTop is px to translate the rendered window
+ * - with sectionHeaders, also { stickyIndex, stickyOffset, renderIndices }:
+ *   - stickyIndex: header pinned to the viewport top (null before the first)
+ *   - stickyOffset: px (<= 0) to shift it up as the next header pushes it out
+ *   - renderIndices: the window plus the sticky header if it lies above it
  */
 
 function prefixSums(arr) {
@@ -37,7 +42,52 @@ function lowerBoundPrefix(prefix, value) {
   return lo;
 }
 
-function getRange({ itemHeights, scrollTop, viewportHeight, overscan = 2 }) {
+/**
+ * The sticky header is the last one whose top is at or above the viewport
+ * top; the next header pushes it up once they touch.
+ */
+function stickyHeader(sectionHeaders, top, offsetOf, heightOf) {
+  let lo = 0;
+  let hi = sectionHeaders.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsetOf(sectionHeaders[mid]) <= top) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo === 0) return { stickyIndex: null, stickyOffset: 0 };
+
+  const stickyIndex = sectionHeaders[lo - 1];
+  const next = sectionHeaders[lo];
+  const stickyOffset =
+    next === undefined
+      ? 0
+      : Math.min(0, offsetOf(next) - top - heightOf(stickyIndex));
+
+  return { stickyIndex, stickyOffset };
+}
+
+function withSticky(range, sectionHeaders, top, offsetOf, heightOf) {
+  if (!sectionHeaders) return range;
+
+  const sticky = stickyHeader(sectionHeaders, top, offsetOf, heightOf);
+  const renderIndices = [];
+  // Keep the pinned header rendered even when overscan does not reach it.
+  if (sticky.stickyIndex !== null && sticky.stickyIndex < range.startIndex) {
+    renderIndices.push(sticky.stickyIndex);
+  }
+  for (let i = range.startIndex; i <= range.endIndex; i++)
+    renderIndices.push(i);
+
+  return { ...range, ...sticky, renderIndices };
+}
+
+function getRange({
+  itemHeights,
+  scrollTop,
+  viewportHeight,
+  overscan = 2,
+  sectionHeaders,
+}) {
   const prefix = prefixSums(itemHeights);
   const totalHeight = prefix[prefix.length - 1];
 
@@ -58,7 +108,621 @@ function getRange({ itemHeights, scrollTop, viewportHeight, overscan = 2 }) {
 
   const offsetTop = prefix[startIndex];
 
-  return { startIndex, endIndex, offsetTop, totalHeight };
+  return withSticky(
+    { startIndex, endIndex, offsetTop, totalHeight },
+    sectionHeaders,
+    top,
+    (i) => prefix[i],
+    (i) => itemHeights[i],
+  );
+}
+
+const ALIGNMENTS = ["start", "center", "end", "auto"];
+
+/**
+ * Target scrollTop that brings an item into view, clamped to
+ * [0, totalHeight - viewportHeight].
+ * - start / center / end: place the item at that edge of the viewport
+ * - auto: scroll only as far as needed to show the item fully; an item
+ *   already fully visible keeps scrollTop, one taller than the viewport
+ *   aligns to start
+ * Throws without a finite viewportHeight (every alignment clamps with it).
+ */
+function alignScrollTop({
+  itemTop,
+  itemHeight,
+  totalHeight,
+  scrollTop,
+  viewportHeight,
+  align,
+}) {
+  if (!ALIGNMENTS.includes(align)) throw new Error(`unknown align: ${align}`);
+  if (!Number.isFinite(viewportHeight) || viewportHeight < 0) {
+    throw new Error(
+      `viewportHeight must be a finite number >= 0, got ${viewportHeight}`,
+    );
+  }
+
+  const itemBottom = itemTop + itemHeight;
+  const toStart = itemTop;
+  const toEnd = itemBottom - viewportHeight;
+
+  let target;
+  if (align === "start") target = toStart;
+  else if (align === "end") target = toEnd;
+  else if (align === "center")
+    target = itemTop + (itemHeight - viewportHeight) / 2;
+  else if (itemTop < scrollTop || itemHeight > viewportHeight) target = toStart;
+  else if (itemBottom > scrollTop + viewportHeight) target = toEnd;
+  else target = scrollTop;
+
+  const maxScrollTop = Math.max(0, totalHeight - viewportHeight);
+  return Math.max(0, Math.min(target, maxScrollTop));
+}
+
+/**
+ * Stateless scrollToIndex for either layout:
+ * - variable: { itemHeights }            -> O(index) offset sum
+ * - fixed:    { itemCount, itemHeight }  -> O(1)
+ */
+function scrollToIndex(
+  index,
+  {
+    itemHeights,
+    itemCount = itemHeights?.length,
+    itemHeight,
+    scrollTop = 0,
+    viewportHeight,
+    align = "auto",
+  },
+) {
+  if (!itemHeights) {
+    if (!Number.isInteger(itemCount) || itemCount < 0) {
+      throw new Error(`itemCount must be an integer >= 0, got ${itemCount}`);
+    }
+    assertHeight(itemHeight);
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= itemCount) {
+    throw new Error(`index out of range: ${index}`);
+  }
+
+  const fixed = !itemHeights;
+  let itemTop = 0;
+  if (fixed) itemTop = index * itemHeight;
+  else for (let i = 0; i < index; i++) itemTop += itemHeights[i];
+
+  return alignScrollTop({
+    itemTop,
+    itemHeight: fixed ? itemHeight : itemHeights[index],
+    totalHeight: fixed
+      ? itemCount * itemHeight
+      : itemHeights.reduce((a, b) => a + b, 0),
+    scrollTop,
+    viewportHeight,
+    align,
+  });
+}
+
+// ---------------- Height index ----------------
+// An implicit treap: a randomized balanced tree ordered by position (no
+// keys). Each node caches its subtree's size, height sum and unmeasured
+// count, so lookups by index or by offset, splits and joins are O(log n).
+
+function treeNode(height, measured) {
+  return {
+    height,
+    measured,
+    priority: Math.random(),
+    left: null,
+    right: null,
+    size: 1,
+    sum: height,
+    unmeasured: measured ? 0 : 1,
+  };
+}
+
+const sizeOf = (node) => (node ? node.size : 0);
+const sumOf = (node) => (node ? node.sum : 0);
+const unmeasuredOf = (node) => (node ? node.unmeasured : 0);
+
+function updateNode(node) {
+  node.size = 1 + sizeOf(node.left) + sizeOf(node.right);
+  node.sum = node.height + sumOf(node.left) + sumOf(node.right);
+  node.unmeasured =
+    (node.measured ? 0 : 1) +
+    unmeasuredOf(node.left) +
+    unmeasuredOf(node.right);
+  return node;
+}
+
+// O(k) build (Cartesian tree over the right spine) instead of k inserts.
+function buildTree(heights, measured) {
+  const spine = []; // right spine, root first
+  for (let i = 0; i < heights.length; i++) {
+    const node = treeNode(heights[i], measured[i]);
+    let last = null;
+    while (spine.length && spine.at(-1).priority < node.priority) {
+      last = updateNode(spine.pop());
+    }
+    node.left = last;
+    if (spine.length) spine.at(-1).right = node;
+    spine.push(node);
+  }
+  for (let i = spine.length - 1; i >= 0; i--) updateNode(spine[i]);
+  return spine[0] ?? null;
+}
+
+// The first `k` items go left, the rest right.
+function splitTree(node, k) {
+  if (!node) return [null, null];
+  if (k <= sizeOf(node.left)) {
+    const [left, right] = splitTree(node.left, k);
+    node.left = right;
+    return [left, updateNode(node)];
+  }
+  const [left, right] = splitTree(node.right, k - sizeOf(node.left) - 1);
+  node.right = left;
+  return [updateNode(node), right];
+}
+
+function joinTrees(a, b) {
+  if (!a || !b) return a ?? b;
+  if (a.priority > b.priority) {
+    a.right = joinTrees(a.right, b);
+    return updateNode(a);
+  }
+  b.left = joinTrees(a, b.left);
+  return updateNode(b);
+}
+
+/**
+ * Stateful variant of getRange for large lists.
+ *
+ * Heights live in the height index above, so setItemHeight, getItemOffset,
+ * getRange and remove are O(log n); insert is O(log n + k) for k new items.
+ *
+ * getRange returns the same { startIndex, endIndex, offsetTop, totalHeight }
+ * shape as the stateless getRange above.
+ *
+ * Unknown heights: with `estimatedItemHeight`, a null/undefined height (in
+ * the constructor or insert) means "not measured yet" and uses the
+ * estimate. recordMeasurement() replaces it and returns the scrollTop that
+ * keeps the view anchored, so totalHeight only moves by (measured - estimate)
+ * and content on screen does not jump.
+ */
+class VirtualListModel {
+  #root = null; // height index; node.measured is false while estimated
+  #estimate;
+
+  constructor(itemHeights = [], { estimatedItemHeight } = {}) {
+    if (estimatedItemHeight !== undefined) assertHeight(estimatedItemHeight);
+    this.#estimate = estimatedItemHeight;
+
+    const { heights, measured } = this.#resolveHeights(itemHeights);
+    this.#root = buildTree(heights, measured);
+  }
+
+  static estimated(count, estimatedItemHeight) {
+    return new VirtualListModel(new Array(count).fill(null), {
+      estimatedItemHeight,
+    });
+  }
+
+  get count() {
+    return sizeOf(this.#root);
+  }
+
+  get totalHeight() {
+    return sumOf(this.#root);
+  }
+
+  get unmeasuredCount() {
+    return unmeasuredOf(this.#root);
+  }
+
+  getItemHeight(index) {
+    this.#assertIndex(index, this.count);
+    return this.#pathTo(index).at(-1).height;
+  }
+
+  isMeasured(index) {
+    this.#assertIndex(index, this.count);
+    return this.#pathTo(index).at(-1).measured;
+  }
+
+  /**
+   * Indices in [startIndex, endIndex] still using the estimate. Accepts a
+   * getRange() result, so a renderer can ask what to measure next.
+   */
+  getUnmeasured({ startIndex = 0, endIndex = this.count - 1 } = {}) {
+    const out = [];
+    const last = Math.min(endIndex, this.count - 1); // ranges may be stale
+    for (let i = Math.max(0, startIndex); i <= last; i++) {
+      if (!this.isMeasured(i)) out.push(i);
+    }
+    return out;
+  }
+
+  // Sum of heights before `index` (index === count gives totalHeight).
+  getItemOffset(index) {
+    this.#assertIndex(index, this.count + 1);
+    let sum = 0;
+    let node = this.#root;
+    let k = index;
+    while (node) {
+      const leftSize = sizeOf(node.left);
+      if (k <= leftSize) {
+        node = node.left;
+      } else {
+        sum += sumOf(node.left) + node.height;
+        k -= leftSize + 1;
+        node = node.right;
+      }
+    }
+    return sum;
+  }
+
+  setItemHeight(index, height) {
+    this.#assertIndex(index, this.count);
+    assertHeight(height);
+
+    const path = this.#pathTo(index);
+    const node = path.at(-1);
+    node.height = height;
+    node.measured = true;
+    for (let i = path.length - 1; i >= 0; i--) updateNode(path[i]);
+  }
+
+  insert(index, ...heights) {
+    this.#assertIndex(index, this.count + 1);
+    const resolved = this.#resolveHeights(heights);
+    const [before, after] = splitTree(this.#root, index);
+    const added = buildTree(resolved.heights, resolved.measured);
+    this.#root = joinTrees(joinTrees(before, added), after);
+  }
+
+  remove(index, count = 1) {
+    this.#assertIndex(index, this.count);
+    if (!Number.isInteger(count) || count < 1 || count > this.count - index) {
+      throw new Error(`remove count out of range: ${count}`);
+    }
+    const [before, rest] = splitTree(this.#root, index);
+    const [, after] = splitTree(rest, count);
+    this.#root = joinTrees(before, after);
+  }
+
+  /**
+   * Record a rendered item's real height; returns the scrollTop that keeps
+   * the first visible item where it was on screen.
+   */
+  recordMeasurement(index, height, { scrollTop = 0, viewportHeight = 0 } = {}) {
+    return this.applyAnchored(
+      { type: "resize", index, height },
+      { scrollTop, viewportHeight },
+    );
+  }
+
+  getRange({ scrollTop, viewportHeight, overscan = 2, sectionHeaders }) {
+    const n = this.count;
+    const totalHeight = this.totalHeight;
+
+    const top = Math.max(0, Math.min(scrollTop, totalHeight));
+    const bottom = Math.min(totalHeight, top + viewportHeight);
+
+    // Same bounds as getRange: lowerBoundPrefix(prefix, v) === #countBelow(v).
+    const start = Math.max(0, this.#countBelow(top) - 1);
+    const end = Math.min(n - 1, this.#countBelow(bottom) - 1);
+
+    const startIndex = Math.max(0, start - overscan);
+    const endIndex = Math.min(n - 1, end + overscan);
+
+    const offsetTop = this.getItemOffset(startIndex);
+
+    return withSticky(
+      { startIndex, endIndex, offsetTop, totalHeight },
+      sectionHeaders,
+      top,
+      (i) => this.getItemOffset(i),
+      (i) => this.getItemHeight(i),
+    );
+  }
+
+  /**
+   * Reverse (bottom-anchored) layout for chat-style lists. The position is
+   * `scrollBottom`: px between the end of the content and the bottom of the
+   * viewport (0 = at the bottom). Lists shorter than the viewport sit at its
+   * bottom, and prepending history (insert at 0) keeps the view in place
+   * without adjusting scrollBottom.
+   *
+   * Returns getRange's shape plus offsetBottom (px from the bottom of
+   * endIndex to the end of the list) and the equivalent scrollTop.
+   */
+  getReverseRange({
+    scrollBottom = 0,
+    viewportHeight,
+    overscan = 2,
+    sectionHeaders,
+  }) {
+    const scrollTop = this.scrollTopFromBottom(scrollBottom, viewportHeight);
+    const range = this.getRange({
+      scrollTop,
+      viewportHeight,
+      overscan,
+      sectionHeaders,
+    });
+    const offsetBottom =
+      this.totalHeight - this.getItemOffset(range.endIndex + 1);
+    return { ...range, offsetBottom, scrollTop };
+  }
+
+  scrollTopFromBottom(scrollBottom, viewportHeight) {
+    const maxScrollTop = Math.max(0, this.totalHeight - viewportHeight);
+    return Math.max(0, Math.min(maxScrollTop - scrollBottom, maxScrollTop));
+  }
+
+  scrollBottomFromTop(scrollTop, viewportHeight) {
+    return Math.max(0, this.totalHeight - viewportHeight - scrollTop);
+  }
+
+  /**
+   * Append new items (e.g. incoming messages) and return the next
+   * scrollBottom: stays 0 while the user is within `stickThreshold` px of
+   * the bottom ("stuck to bottom"), otherwise grows by the appended height
+   * so what the user is reading does not move.
+   */
+  appendAnchored(heights, { scrollBottom = 0, stickThreshold = 1 } = {}) {
+    const before = this.totalHeight;
+    this.insert(this.count, ...heights);
+    if (scrollBottom <= stickThreshold) return 0;
+    return scrollBottom + (this.totalHeight - before);
+  }
+
+  // O(log n) scrollToIndex; see alignScrollTop for the alignment rules.
+  scrollToIndex(index, { scrollTop = 0, viewportHeight, align = "auto" }) {
+    this.#assertIndex(index, this.count);
+    return alignScrollTop({
+      itemTop: this.getItemOffset(index),
+      itemHeight: this.getItemHeight(index),
+      totalHeight: this.totalHeight,
+      scrollTop,
+      viewportHeight,
+      align,
+    });
+  }
+
+  /**
+   * Scroll anchor: the first visible item at `scrollTop` and how far into it
+   * the viewport starts. Null for an empty list.
+   */
+  getAnchor(scrollTop) {
+    if (this.count === 0) return null;
+    const top = Math.max(0, Math.min(scrollTop, this.totalHeight));
+    const index = this.#indexAt(top);
+    return { index, offset: top - this.getItemOffset(index) };
+  }
+
+  scrollTopForAnchor(anchor, { viewportHeight = 0 } = {}) {
+    if (!anchor || this.count === 0) return 0;
+    const index = Math.min(anchor.index, this.count - 1);
+    const offset = Math.min(anchor.offset, this.getItemHeight(index));
+    const maxScrollTop = Math.max(0, this.totalHeight - viewportHeight);
+    return Math.min(maxScrollTop, this.getItemOffset(index) + offset);
+  }
+
+  /**
+   * Apply a mutation and return the scrollTop that keeps the first visible
+   * item at the same on-screen offset (no jump when content changes above).
+   *
+   * mutation:
+   * - { type: "insert", index, heights }
+   * - { type: "remove", index, count = 1 }
+   * - { type: "resize", index, height }
+   *
+   * If the anchor item itself is removed, the item that takes its index
+   * becomes the anchor, aligned to the top of the viewport.
+   */
+  applyAnchored(mutation, { scrollTop, viewportHeight = 0 }) {
+    const anchor = this.getAnchor(scrollTop);
+
+    switch (mutation.type) {
+      case "insert":
+        this.insert(mutation.index, ...mutation.heights);
+        if (anchor && anchor.index >= mutation.index) {
+          anchor.index += mutation.heights.length;
+        }
+        break;
+      case "remove": {
+        const { index, count = 1 } = mutation;
+        this.remove(index, count);
+        if (anchor && anchor.index >= index + count) anchor.index -= count;
+        else if (anchor && anchor.index >= index) {
+          anchor.index = index;
+          anchor.offset = 0;
+        }
+        break;
+      }
+      case "resize":
+        this.setItemHeight(mutation.index, mutation.height);
+        break;
+      default:
+        throw new Error(`unknown mutation type: ${mutation.type}`);
+    }
+
+    return this.scrollTopForAnchor(anchor, { viewportHeight });
+  }
+
+  // Number of prefix sums (prefix[0..n]) strictly below `value`.
+  #countBelow(value) {
+    return value <= 0 ? 0 : this.#lift(value, false) + 1;
+  }
+
+  // Index of the item that contains `offset` (items ending at it are skipped).
+  #indexAt(offset) {
+    return Math.min(this.count - 1, this.#lift(offset, true));
+  }
+
+  /**
+   * One walk down the tree, O(log n): the largest k such that
+   * prefix[k] < value (or <= value when `inclusive`).
+   */
+  #lift(value, inclusive) {
+    const below = (prefix) => (inclusive ? prefix <= value : prefix < value);
+    let node = this.#root;
+    let pos = 0;
+    let before = 0; // prefix sum up to the current subtree
+    while (node) {
+      const afterLeft = before + sumOf(node.left);
+      const afterNode = afterLeft + node.height;
+      if (below(afterNode)) {
+        pos += sizeOf(node.left) + 1;
+        before = afterNode;
+        node = node.right;
+      } else if (below(afterLeft)) {
+        return pos + sizeOf(node.left);
+      } else {
+        node = node.left;
+      }
+    }
+    return pos;
+  }
+
+  // Root-to-node path of the item at `index` (an in-range index).
+  #pathTo(index) {
+    const path = [];
+    let node = this.#root;
+    let k = index;
+    while (true) {
+      path.push(node);
+      const leftSize = sizeOf(node.left);
+      if (k === leftSize) return path;
+      if (k < leftSize) {
+        node = node.left;
+      } else {
+        k -= leftSize + 1;
+        node = node.right;
+      }
+    }
+  }
+
+  #resolveHeights(list) {
+    const heights = [];
+    const measured = [];
+    for (const h of list) {
+      const estimated = h == null && this.#estimate !== undefined;
+      if (!estimated) assertHeight(h);
+      heights.push(estimated ? this.#estimate : h);
+      measured.push(!estimated);
+    }
+    return { heights, measured };
+  }
+
+  #assertIndex(index, limit) {
+    if (!Number.isInteger(index) || index < 0 || index >= limit) {
+      throw new Error(`index out of range: ${index}`);
+    }
+  }
+}
+
+/**
+ * One axis of a grid: frozen leading items are always rendered and take
+ * space from the viewport; the rest scrolls underneath them.
+ * Offsets are in content coordinates (item offsets on the full axis).
+ */
+function axisRange(model, { scroll, viewport, overscan, frozen }) {
+  if (!Number.isInteger(frozen) || frozen < 0 || frozen > model.count) {
+    throw new Error(`frozen count out of range: ${frozen}`);
+  }
+
+  const frozenSize = model.getItemOffset(frozen);
+  const { startIndex, endIndex } = model.getRange({
+    scrollTop: frozenSize + Math.max(0, scroll),
+    viewportHeight: Math.max(0, viewport - frozenSize),
+    overscan,
+  });
+
+  const start = Math.max(frozen, startIndex);
+  const end = frozen === model.count ? frozen - 1 : endIndex;
+  return {
+    start,
+    end,
+    offset: model.getItemOffset(Math.min(start, model.count)),
+    frozenSize,
+  };
+}
+
+/**
+ * 2D virtualization: rows and columns are two VirtualListModel axes, so
+ * row heights and column widths can be updated in O(log n) through
+ * `grid.rows` / `grid.columns`.
+ *
+ * getRange returns the cell window to render:
+ * - rowStartIndex..rowEndIndex x columnStartIndex..columnEndIndex (inclusive)
+ *   for the scrolling body, with overscan on both axes
+ * - offsetTop / offsetLeft: content position of the window's first cell
+ * - frozenRowCount / frozenColumnCount leading rows/columns are always
+ *   rendered (pinned), occupying frozenHeight / frozenWidth of the viewport
+ */
+class VirtualGridModel {
+  #rows;
+  #columns;
+
+  constructor(rowHeights = [], columnWidths = []) {
+    this.#rows = new VirtualListModel(rowHeights);
+    this.#columns = new VirtualListModel(columnWidths);
+  }
+
+  get rows() {
+    return this.#rows;
+  }
+
+  get columns() {
+    return this.#columns;
+  }
+
+  getRange({
+    scrollTop,
+    scrollLeft,
+    viewportHeight,
+    viewportWidth,
+    overscanRows = 2,
+    overscanColumns = 2,
+    frozenRows = 0,
+    frozenColumns = 0,
+  }) {
+    const r = axisRange(this.#rows, {
+      scroll: scrollTop,
+      viewport: viewportHeight,
+      overscan: overscanRows,
+      frozen: frozenRows,
+    });
+    const c = axisRange(this.#columns, {
+      scroll: scrollLeft,
+      viewport: viewportWidth,
+      overscan: overscanColumns,
+      frozen: frozenColumns,
+    });
+
+    return {
+      rowStartIndex: r.start,
+      rowEndIndex: r.end,
+      columnStartIndex: c.start,
+      columnEndIndex: c.end,
+      offsetTop: r.offset,
+      offsetLeft: c.offset,
+      frozenRowCount: frozenRows,
+      frozenColumnCount: frozenColumns,
+      frozenHeight: r.frozenSize,
+      frozenWidth: c.frozenSize,
+      totalHeight: this.#rows.totalHeight,
+      totalWidth: this.#columns.totalHeight,
+    };
+  }
+}
+
+function assertHeight(h) {
+  if (!Number.isFinite(h) || h < 0) {
+    throw new Error(`height must be a finite number >= 0, got ${h}`);
+  }
 }
 
 // ---------------- Demo ----------------
@@ -75,13 +739,174 @@ function getRange({ itemHeights, scrollTop, viewportHeight, overscan = 2 }) {
     log(`scrollTop=${scrollTop} ->`, r);
   }
 
+  // Same ranges from the tree-backed model, then cheap updates.
+  const model = new VirtualListModel(itemHeights);
+  for (const scrollTop of [0, 30, 90, 180, 420]) {
+    const r = model.getRange({ scrollTop, viewportHeight, overscan: 2 });
+    log(`model scrollTop=${scrollTop} ->`, r);
+  }
+
+  model.setItemHeight(0, 200);
+  model.insert(0, 24, 24);
+  model.remove(5, 3);
+  log(
+    "model after updates ->",
+    model.getRange({ scrollTop: 180, viewportHeight }),
+  );
+
+  const big = new VirtualListModel(
+    Array.from({ length: 100_000 }, (_, i) => 20 + (i % 7)),
+  );
+  const t0 = performance.now();
+  for (let i = 0; i < 10_000; i++) {
+    big.setItemHeight((i * 37) % big.count, 30);
+    big.getRange({ scrollTop: i * 211, viewportHeight: 800 });
+  }
+  log(
+    `100k rows: 10k updates + range queries in ${Math.round(performance.now() - t0)}ms`,
+  );
+
+  // Scroll anchoring: prepend older messages above the viewport.
+  const feed = new VirtualListModel(itemHeights);
+  let feedTop = 300;
+  log("anchor before prepend:", feed.getAnchor(feedTop));
+  feedTop = feed.applyAnchored(
+    { type: "insert", index: 0, heights: [48, 48, 48, 48, 48] },
+    { scrollTop: feedTop, viewportHeight },
+  );
+  log(`prepend 5x48 -> scrollTop=${feedTop}`, feed.getAnchor(feedTop));
+  feedTop = feed.applyAnchored(
+    { type: "remove", index: 0, count: 2 },
+    { scrollTop: feedTop, viewportHeight },
+  );
+  log(`remove 2 above -> scrollTop=${feedTop}`, feed.getAnchor(feedTop));
+
+  // Unknown heights: render with estimates, then reconcile measurements.
+  const est = VirtualListModel.estimated(1000, 40);
+  let estTop = 2000;
+  const measure = (i) => (i % 4 === 0 ? 90 : 30); // pretend DOM measurement
+
+  // Items above the viewport get measured too (e.g. after scrolling up).
+  for (const i of [0, 1, 2, 3, 10, 20]) {
+    estTop = est.recordMeasurement(i, measure(i), {
+      scrollTop: estTop,
+      viewportHeight,
+    });
+  }
+  const visible = est.getRange({ scrollTop: estTop, viewportHeight });
+  for (const i of est.getUnmeasured(visible)) {
+    estTop = est.recordMeasurement(i, measure(i), {
+      scrollTop: estTop,
+      viewportHeight,
+    });
+  }
+  log(
+    `estimated: scrollTop 2000 -> ${estTop}, anchor`,
+    est.getAnchor(estTop),
+    `totalHeight=${est.totalHeight}, unmeasured=${est.unmeasuredCount}`,
+  );
+
+  // Grid: 10k rows x 200 columns, header row and first column frozen.
+  const grid = new VirtualGridModel(
+    Array.from({ length: 10_000 }, (_, i) => (i === 0 ? 32 : 24)),
+    Array.from({ length: 200 }, (_, i) => (i === 0 ? 60 : 100)),
+  );
+  for (const [scrollTop, scrollLeft] of [
+    [0, 0],
+    [5000, 1234],
+  ]) {
+    const g = grid.getRange({
+      scrollTop,
+      scrollLeft,
+      viewportHeight: 240,
+      viewportWidth: 400,
+      overscanRows: 1,
+      overscanColumns: 1,
+      frozenRows: 1,
+      frozenColumns: 1,
+    });
+    log(
+      `grid top=${scrollTop} left=${scrollLeft} -> rows ${g.rowStartIndex}..${g.rowEndIndex}`,
+      `cols ${g.columnStartIndex}..${g.columnEndIndex}`,
+      `offset=(${g.offsetLeft}, ${g.offsetTop}) frozen=${g.frozenWidth}x${g.frozenHeight}`,
+    );
+  }
+
+  // scrollToIndex: keyboard navigation / "jump to row".
+  const list = new VirtualListModel(itemHeights);
+  for (const align of ALIGNMENTS) {
+    const variable = list.scrollToIndex(12, {
+      scrollTop: 0,
+      viewportHeight,
+      align,
+    });
+    const fixed = scrollToIndex(12, {
+      itemCount: 40,
+      itemHeight: 24,
+      scrollTop: 0,
+      viewportHeight,
+      align,
+    });
+    log(`scrollToIndex(12, ${align}) -> variable=${variable} fixed=${fixed}`);
+  }
+  log(
+    "auto when already visible ->",
+    scrollToIndex(3, { itemHeights, scrollTop: 48, viewportHeight }),
+  );
+
+  // Sticky section headers: contacts A–E, a 32px header + 10 rows each.
+  const contactHeights = [];
+  const sectionHeaders = [];
+  for (let section = 0; section < 5; section++) {
+    sectionHeaders.push(contactHeights.length);
+    contactHeights.push(32, ...new Array(10).fill(24));
+  }
+  for (const scrollTop of [0, 100, 260, 280, 600]) {
+    const r = getRange({
+      itemHeights: contactHeights,
+      scrollTop,
+      viewportHeight,
+      overscan: 1,
+      sectionHeaders,
+    });
+    log(
+      `sticky scrollTop=${scrollTop} -> header=${r.stickyIndex}`,
+      `offset=${r.stickyOffset} render=${r.renderIndices[0]}..${r.renderIndices.at(-1)}`,
+      `(${r.renderIndices.length} items)`,
+    );
+  }
+
+  // Reverse layout: chat starts at the bottom and grows.
+  const chat = new VirtualListModel(
+    Array.from({ length: 20 }, (_, i) => (i % 3 ? 24 : 48)),
+  );
+  const chatRange = (scrollBottom) => {
+    const r = chat.getReverseRange({
+      scrollBottom,
+      viewportHeight,
+      overscan: 0,
+    });
+    return `${r.startIndex}..${r.endIndex} (offsetBottom=${r.offsetBottom})`;
+  };
+
+  let atBottom = 0;
+  atBottom = chat.appendAnchored([24, 48], { scrollBottom: atBottom });
+  log(
+    `chat at bottom + 2 new -> scrollBottom=${atBottom}`,
+    chatRange(atBottom),
+  );
+
+  let scrolledUp = 200;
+  log(`chat scrolled up ${scrolledUp} ->`, chatRange(scrolledUp));
+  scrolledUp = chat.appendAnchored([24, 24], { scrollBottom: scrolledUp });
+  log(`  + 2 new -> scrollBottom=${scrolledUp}`, chatRange(scrolledUp));
+  chat.insert(0, 48, 48, 48); // older history loaded above
+  log("  + 3 older -> same items, shifted by 3:", chatRange(scrolledUp));
+
   log("Exercise: Virtualized List — done");
 
   /**
    * Your tasks:
-   * 1) Add "scroll anchoring" for prepend:
-   *    - when items are inserted at the top, compute new scrollTop to keep same item visible.
-   * 2) Add an API to update a single item height and keep prefix sums updated efficiently.
-   * 3) Add fixed-height fast path (O(1) range calc).
+   * 1) Add fixed-height fast path (O(1) range calc).
    */
 })();